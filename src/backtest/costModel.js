@@ -0,0 +1,125 @@
+import MathUtils from '../utils/mathUtils.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+class CostModel {
+    /**
+     * @param {Object} options - Cost options
+     * @param {number} options.makerFeePercent - Maker fee % of notional (limit fills: limit entries, TP)
+     * @param {number} options.takerFeePercent - Taker fee % of notional (market fills: market/stop entries, SL, time exits)
+     * @param {string} options.slippageModel - 'none', 'bps' (fixed basis points) or 'range' (fraction of candle range)
+     * @param {number} options.slippageValue - Basis points for 'bps', fraction (0-1) of high-low for 'range'
+     * @param {number} options.fundingRatePercent - Funding rate % per funding period (positive: longs pay shorts)
+     * @param {number} options.fundingIntervalHours - Hours between funding timestamps (default: 8)
+     */
+    constructor(options = {}) {
+        this.makerFeePercent = options.makerFeePercent || 0;
+        this.takerFeePercent = options.takerFeePercent || 0;
+        this.slippageModel = options.slippageModel || 'none';
+        this.slippageValue = options.slippageValue || 0;
+        this.fundingRatePercent = options.fundingRatePercent || 0;
+        this.fundingIntervalHours = options.fundingIntervalHours || 8;
+
+        if (!['none', 'bps', 'range'].includes(this.slippageModel)) {
+            throw new Error(`Invalid slippage model "${this.slippageModel}". Use none, bps or range`);
+        }
+    }
+
+    /**
+     * Calculates the adverse price movement of a market fill
+     * @param {number} price - Ideal fill price
+     * @param {Object} candle - Candle where the fill happens
+     * @returns {number} Slippage in price units (always >= 0)
+     */
+    getSlippage(price, candle) {
+        switch (this.slippageModel) {
+            case 'bps':
+                return price * this.slippageValue / 10000;
+            case 'range':
+                return (candle.high - candle.low) * this.slippageValue;
+            default:
+                return 0;
+        }
+    }
+
+    /**
+     * Applies slippage to a market fill
+     * @param {number} price - Ideal fill price
+     * @param {string} side - 'BUY' or 'SELL'
+     * @param {Object} candle - Candle where the fill happens
+     * @returns {number} Filled price
+     */
+    applySlippage(price, side, candle) {
+        const slippage = this.getSlippage(price, candle);
+        return side === 'BUY' ? price + slippage : price - slippage;
+    }
+
+    /**
+     * Gets the fee rate for an exit reason
+     * @param {string} exitReason - Exit reason (TP exits are limit orders, liquidations pay no exit fee)
+     * @returns {number} Fee % of notional
+     */
+    getExitFeePercent(exitReason) {
+        if (exitReason === 'LIQUIDATION') {
+            return 0; // Liquidation fees are part of the lost margin
+        }
+        return exitReason === 'TP' ? this.makerFeePercent : this.takerFeePercent;
+    }
+
+    /**
+     * Checks if an exit is filled with a market order
+     * @param {string} exitReason - Exit reason
+     * @returns {boolean} True if the exit suffers slippage
+     */
+    isMarketExit(exitReason) {
+        return exitReason !== 'TP' && exitReason !== 'LIQUIDATION';
+    }
+
+    /**
+     * Counts the funding timestamps crossed while a position was open
+     * @param {number} entryTime - Entry timestamp
+     * @param {number} exitTime - Exit timestamp
+     * @returns {number} Number of funding payments
+     */
+    countFundingPeriods(entryTime, exitTime) {
+        const intervalMs = this.fundingIntervalHours * HOUR_MS;
+        // Funding timestamps are aligned to UTC midnight (00:00, 08:00, 16:00 by default)
+        const firstFunding = Math.floor(entryTime / intervalMs) * intervalMs + intervalMs;
+        if (exitTime < firstFunding) {
+            return 0;
+        }
+        return Math.floor((exitTime - firstFunding) / intervalMs) + 1;
+    }
+
+    /**
+     * Calculates all costs of a trade
+     * @param {Object} trade - Trade with ideal and filled prices
+     * @param {number} entryTime - Timestamp when the position was opened
+     * @param {number} exitTime - Timestamp when the position was closed
+     * @returns {Object} Costs in USD ({ fees, slippage, funding, fundingPayments })
+     */
+    calculateCosts(trade, entryTime, exitTime) {
+        const quantity = trade.positionSize / trade.entryPrice;
+        const exitNotional = quantity * trade.exitFillPrice;
+
+        const entryFeePercent = trade.marketEntry === false ? this.makerFeePercent : this.takerFeePercent;
+        const entryFee = trade.positionSize * entryFeePercent / 100;
+        const exitFee = exitNotional * this.getExitFeePercent(trade.exitReason) / 100;
+
+        const entrySlippage = Math.abs(trade.entryFillPrice - trade.entryPrice) * quantity;
+        const exitSlippage = Math.abs(trade.exitFillPrice - trade.exitPrice) * quantity;
+
+        const fundingPayments = this.countFundingPeriods(entryTime, exitTime);
+        const fundingSign = trade.direction === 'LONG' ? 1 : -1;
+        const funding = trade.positionSize * this.fundingRatePercent / 100 * fundingPayments * fundingSign;
+
+        return {
+            fees: MathUtils.round(entryFee + exitFee, 4),
+            slippage: MathUtils.round(entrySlippage + exitSlippage, 4),
+            funding: MathUtils.round(funding, 4),
+            fundingPayments
+        };
+    }
+}
+
+export default CostModel;
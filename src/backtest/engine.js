@@ -1,15 +1,48 @@
-import BreakoutStrategy from '../strategies/breakoutStrategy.js';
+import { createStrategy } from '../strategies/index.js';
 import TradeSimulator from './tradeSimulator.js';
+import TradeScheduler from './tradeScheduler.js';
 import DateUtils from '../utils/dateUtils.js';
+import MathUtils from '../utils/mathUtils.js';
 import ResultsExporter from '../output/resultsExporter.js';
 
 class BacktestEngine {
-    constructor(initialCapital = 100, leverage = 5, maxHours = 4, stopLossPercent = 10, takeProfitPercent = 20, outputDir = './results') {
-        this.strategy = new BreakoutStrategy();
-        this.simulator = new TradeSimulator(initialCapital, leverage, maxHours, stopLossPercent, takeProfitPercent);
+    /**
+     * @param {number} initialCapital - Initial capital in USD
+     * @param {number} leverage - Leverage
+     * @param {number} maxHours - Maximum hours per trade
+     * @param {number} stopLossPercent - Stop Loss % of capital
+     * @param {number} takeProfitPercent - Take Profit % of capital
+     * @param {string} outputDir - Output directory for results
+     * @param {Object} options - Additional options
+     * @param {string} options.strategy - Registered strategy name (default: breakout)
+     * @param {Object} options.strategyParams - Strategy parameters
+     * @param {Object} options.costs - Fees, slippage and funding settings
+     * @param {number} options.maintenanceMarginPercent - Maintenance margin rate for liquidations
+     * @param {Object} options.sizing - Position sizing settings
+     * @param {Object} options.entry - Entry order settings
+     * @param {Object} options.management - Break-even, trailing stop and partial take profit settings
+     * @param {Object} options.risk - Risk guards (daily/weekly loss limits, loss streak pause, equity stop)
+     * @param {IntrabarResolver} options.intrabar - Lower-timeframe resolver for ambiguous candles (precise mode)
+     * @param {boolean} options.hedging - Allows new trades while others are open (settled when they close)
+     */
+    constructor(initialCapital = 100, leverage = 5, maxHours = 4, stopLossPercent = 10, takeProfitPercent = 20, outputDir = './results', options = {}) {
+        this.strategy = createStrategy(options.strategy || 'breakout', options.strategyParams || {});
+        this.simulator = new TradeSimulator(initialCapital, leverage, maxHours, stopLossPercent, takeProfitPercent, {
+            costs: options.costs,
+            maintenanceMarginPercent: options.maintenanceMarginPercent,
+            sizing: options.sizing,
+            entry: options.entry,
+            management: options.management,
+            risk: options.risk,
+            intrabar: options.intrabar
+        });
         this.exporter = new ResultsExporter(outputDir);
+        this.hedging = Boolean(options.hedging);
         this.signals = [];
         this.trades = [];
+        this.scheduler = null; // Trade rules of the current simulation
+        this.openTrades = []; // Hedged trades not settled yet
+        this.skippedSignals = []; // Signals blocked by the trade rules ({ signal, reason })
     }
 
     /**
@@ -24,12 +57,18 @@ class BacktestEngine {
         console.log(`🚀 Starting backtesting for ${symbol}`);
         console.log(`📊 Processing ${candles.length} candles...`);
 
+        if (this.simulator.isStopBeyondLiquidation()) {
+            console.warn('⚠️  The stop loss is beyond the liquidation price: positions will be liquidated before the stop is hit');
+        }
+
         // Process candles with strategy (without detailed logs)
-        this.signals = this.strategy.processCandles(candles);
+        this.signals = this.strategy.processCandles(candles, this.strategy.params);
+        await this.loadIntrabarCandles(candles, symbol);
 
         // Simulate trades with unified logs
         console.log('\n🔄 Simulating trades...');
-        this.simulateAllTradesWithLogs(candles);
+        this.simulateAllTrades(candles);
+        this.simulator.buildEquityCurve(candles);
 
         // Show final statistics
         this.showFinalStats();
@@ -40,15 +79,21 @@ class BacktestEngine {
             totalCandles: candles.length,
             signals: this.signals,
             trades: this.trades,
+            missedSignals: this.simulator.getMissedSignals(),
+            blockedSignals: this.simulator.getBlockedSignals(),
+            skippedSignals: this.skippedSignals,
+            filteredSignals: this.strategy.getFilteredSignals(),
             stats: this.strategy.getSignalsStats(this.signals),
             tradingStats: this.simulator.getTradingStats(),
-            dailyResults: this.simulator.getDailyResults()
+            dailyResults: this.simulator.getDailyResults(),
+            equityCurve: this.simulator.getEquityCurve()
         };
 
         // Export results if enabled
         if (saveResults) {
             try {
-                const filepath = await this.exporter.exportToJSON(backtestData, symbol, candles, config);
+                const exportConfig = { ...config, strategy: this.strategy.name, strategyParams: this.strategy.params };
+                const filepath = await this.exporter.exportToJSON(backtestData, symbol, candles, exportConfig);
                 console.log(`📄 Results saved to: ${filepath}`);
             } catch (error) {
                 console.error('⚠️  Failed to save results:', error.message);
@@ -58,62 +103,216 @@ class BacktestEngine {
         return backtestData;
     }
 
+    /**
+     * Loads the lower-timeframe candles needed to resolve ambiguous candles (precise mode only)
+     * Trades are simulated silently to find the candles touching both SL and TP, which are then fetched
+     * @param {Array} candles - Array of candles
+     * @param {string} symbol - Trading pair symbol
+     */
+    async loadIntrabarCandles(candles, symbol) {
+        const intrabar = this.simulator.intrabar;
+        if (!intrabar) {
+            return;
+        }
+
+        // New trades may appear once earlier ones are resolved (e.g: the balance is no longer depleted)
+        for (let pass = 0; pass < 3; pass++) {
+            this.simulator.reset();
+            this.simulateAllTrades(candles, false);
+
+            if (!intrabar.hasMissing()) {
+                break;
+            }
+            await intrabar.load(symbol);
+        }
+
+        this.simulator.reset();
+    }
+
+    /**
+     * Simulates precomputed signals without console output
+     * (used to evaluate many parameter sets on the same candles)
+     * @param {Array} candles - Array of candles
+     * @param {Array} signals - Signals detected by the strategy
+     * @returns {Object} Simulation results
+     */
+    runSimulation(candles, signals) {
+        this.signals = signals;
+        this.simulateAllTrades(candles, false);
+        this.simulator.buildEquityCurve(candles);
+
+        return {
+            trades: this.trades,
+            missedSignals: this.simulator.getMissedSignals(),
+            blockedSignals: this.simulator.getBlockedSignals(),
+            skippedSignals: this.skippedSignals,
+            tradingStats: this.simulator.getTradingStats(),
+            dailyResults: this.simulator.getDailyResults(),
+            equityCurve: this.simulator.getEquityCurve()
+        };
+    }
+
     /**
      * Simulates all trades with unified logs (signal + result)
      * @param {Array} candles - Array of candles
+     * @param {boolean} verbose - Whether to log each day, signal and result
      */
-    simulateAllTradesWithLogs(candles) {
+    simulateAllTrades(candles, verbose = true) {
+        const log = verbose ? console.log : () => {};
         this.trades = [];
+        this.openTrades = [];
+        this.skippedSignals = [];
+        this.simulator.prepare(candles);
+        this.scheduler = new TradeScheduler({
+            ...this.strategy.getTradeRules(),
+            hedging: this.hedging,
+            fillsInsideSignalCandle: this.simulator.entryModel.fillsInsideSignalCandle()
+        });
         
         // Group signals by day
         const signalsByDay = this.groupSignalsByDay();
+        const filteredByDay = this.groupFilteredByDay();
         const allDays = this.getAllDays(candles);
+        const candleIndexByTime = new Map(candles.map((candle, index) => [candle.openTime, index]));
         
         // Process each day
         for (const day of allDays) {
+            if (this.simulator.currentBalance <= 0) {
+                log('\n💀 Account balance depleted, no more trades can be opened');
+                break;
+            }
+
             const daySignals = signalsByDay[day] || [];
-            
-            if (daySignals.length > 0) {
+            const dayFiltered = filteredByDay[day] || [];
+
+            if (daySignals.length === 0 && dayFiltered.length > 0) {
+                log(`\n📅 ${this.formatDate(day)}:`);
+                dayFiltered.forEach(({ signal, reason }) => log(`🚫 ${signal.direction} at $${signal.entryPrice.toFixed(4)} filtered out: ${reason}`));
+            } else if (daySignals.length > 0) {
                 // Show day date
-                console.log(`\n📅 ${this.formatDate(day)}:`);
+                log(`\n📅 ${this.formatDate(day)}:`);
                 
                 // Process each signal of the day
                 for (const signal of daySignals) {
-                    const entryCandleIndex = candles.findIndex(c => 
-                        c.openTime === signal.candle.openTime
-                    );
+                    const entryCandleIndex = candleIndexByTime.has(signal.candle.openTime) ?
+                        candleIndexByTime.get(signal.candle.openTime) : -1;
                     
                     if (entryCandleIndex === -1) continue;
+
+                    // A signal on the last candle cannot be traded (no candle left to fill the position)
+                    if (entryCandleIndex === candles.length - 1) {
+                        log(`⏭️  ${signal.direction} signal on the last candle skipped (no data after it)`);
+                        continue;
+                    }
                     
                     const remainingCandles = candles.slice(entryCandleIndex + 1);
-                    this.showSignalAndTrade(signal, remainingCandles);
+                    const trade = this.showSignalAndTrade(signal, remainingCandles, verbose, entryCandleIndex);
+                    if (trade) {
+                        this.scheduler.recordTrade(trade, entryCandleIndex, candleIndexByTime.get(trade.exitTime));
+                    }
                 }
             } else {
                 // Day without signals
-                console.log(`\n📅 ${this.formatDate(day)}: (No signal detected)`);
+                log(`\n📅 ${this.formatDate(day)}: (No signal detected)`);
             }
         }
+
+        if (this.hedging) {
+            this.settleOpenTrades();
+            this.simulator.chainDailyBalances();
+        }
         
-        console.log(`\n✅ ${this.trades.length} trades simulated`);
+        log(`\n✅ ${this.trades.length} trades simulated`);
     }
 
     /**
      * Shows the signal and simulates the trade in a single log
      * @param {Object} signal - Trading signal
      * @param {Array} remainingCandles - Remaining candles
+     * @param {boolean} verbose - Whether to log the signal and result
+     * @param {number} signalIndex - Index of the signal candle (checked against the trade rules)
+     * @returns {Object|null} Trade opened, or null when the signal is skipped or missed
      */
-    showSignalAndTrade(signal, remainingCandles) {
+    showSignalAndTrade(signal, remainingCandles, verbose = true, signalIndex = null) {
+        const log = verbose ? console.log : () => {};
+
         // Show signal
-        const levelPrice = signal.type === 'BREAKOUT_HIGH' ? signal.dailyHigh : signal.dailyLow;
-        console.log(`🎯 ${signal.direction} at $${signal.entryPrice.toFixed(4)} - ${signal.reason} (Level: $${levelPrice.toFixed(4)})`);
+        const levelPrice = signal.type === 'BREAKOUT_HIGH' ? signal.levelHigh : signal.levelLow;
+        log(`🎯 ${signal.direction} at $${signal.entryPrice.toFixed(4)} - ${signal.reason} (Level: $${levelPrice.toFixed(4)}${signal.session ? `, ${signal.session} session` : ''})`);
         
+        // Trades per day, cooldown and positions still open
+        const blockReason = signalIndex !== null ? this.scheduler.getBlockReason(signal, signalIndex) : null;
+        if (blockReason) {
+            this.skippedSignals.push({ signal, reason: blockReason });
+            log(`   ⏭️  Skipped: ${blockReason}`);
+            return null;
+        }
+
         // Simulate trade (without internal logs)
-        const trade = this.simulator.simulateTradeSilent(signal, remainingCandles);
+        const trade = this.hedging ? this.openHedgedTrade(signal, remainingCandles) : this.simulator.simulateTradeSilent(signal, remainingCandles);
+
+        if (trade.missed) {
+            log(`   ⌛ Missed: ${trade.missReason}`);
+            return null;
+        }
+
+        if (trade.skipped) {
+            log(`   ⏭️  Skipped: ${trade.skipReason}`);
+            return null;
+        }
+
         this.trades.push(trade);
         
         // Show result
         const resultIcon = trade.resultUSD > 0 ? '✅' : '❌';
-        console.log(`   ${resultIcon} ${trade.exitReason} at $${trade.exitPrice.toFixed(4)} (${trade.durationHours}h) → $${trade.resultUSD.toFixed(2)} (${trade.resultPercent}%)`);
+        log(`   ${resultIcon} ${trade.exitReason} at $${trade.exitPrice.toFixed(4)} (${trade.durationHours}h) → $${trade.resultUSD.toFixed(2)} (${trade.resultPercent}%)`);
+        if (trade.fills.length > 1) {
+            log(`      Fills: ${BacktestEngine.formatFills(trade)}`);
+        }
+        return trade;
+    }
+
+    /**
+     * Opens a trade next to the positions still open (hedging)
+     * The trade is sized on the balance not used as margin and settled once it closes
+     * @param {Object} signal - Trading signal
+     * @param {Array} remainingCandles - Remaining candles
+     * @returns {Object} Trade (skipped or missed like in simulateTradeSilent)
+     */
+    openHedgedTrade(signal, remainingCandles) {
+        // Positions closed before this signal free their margin and update the balance
+        this.settleOpenTrades(signal.candle.openTime);
+
+        const block = this.simulator.getRiskBlock(signal);
+        if (block) {
+            this.simulator.recordBlockedSignal(signal, block);
+            return { signal, direction: signal.direction, skipped: true, skipReason: block.reason, guard: block.guard };
+        }
+
+        const usedMargin = this.openTrades.reduce((sum, t) => sum + t.margin, 0);
+        const freeBalance = MathUtils.round(this.simulator.currentBalance - usedMargin, 2);
+        if (freeBalance <= 0) {
+            return { signal, direction: signal.direction, skipped: true, skipReason: 'No free margin (open positions use the whole balance)' };
+        }
+
+        const trade = this.simulator.resolveTrade(signal, remainingCandles, freeBalance);
+        if (trade.missed) {
+            this.simulator.recordMissedSignal(signal, trade.missReason);
+        } else if (!trade.skipped) {
+            trade.id = `trade_${this.simulator.trades.length + this.openTrades.length + 1}`;
+            this.openTrades.push(trade);
+        }
+        return trade;
+    }
+
+    /**
+     * Settles the hedged trades closed up to a time, in exit order
+     * @param {number} time - Timestamp (all open trades when not given)
+     */
+    settleOpenTrades(time = Infinity) {
+        const closed = this.openTrades.filter(t => t.exitTime <= time).sort((a, b) => a.exitTime - b.exitTime);
+        closed.forEach(trade => this.simulator.settleTrade(trade));
+        this.openTrades = this.openTrades.filter(t => t.exitTime > time);
     }
 
     /**
@@ -133,6 +332,22 @@ class BacktestEngine {
         return signalsByDay;
     }
 
+    /**
+     * Groups the signals rejected by the strategy filters by day
+     * @returns {Object} Filtered signals ({ signal, reason }) grouped by day
+     */
+    groupFilteredByDay() {
+        const filteredByDay = {};
+
+        this.strategy.getFilteredSignals().forEach(filtered => {
+            const date = filtered.signal.date;
+            filteredByDay[date] = filteredByDay[date] || [];
+            filteredByDay[date].push(filtered);
+        });
+
+        return filteredByDay;
+    }
+
     /**
      * Gets all days from the backtesting period
      * @param {Array} candles - Array of candles
@@ -155,13 +370,31 @@ class BacktestEngine {
      * @returns {string} Formatted date
      */
     formatDate(dateString) {
-        const date = new Date(dateString);
-        const day = date.getDate().toString().padStart(2, '0');
-        const month = (date.getMonth() + 1).toString().padStart(2, '0');
-        const year = date.getFullYear();
+        const [year, month, day] = dateString.split('-');
         return `${day}-${month}-${year}`;
     }
 
+    /**
+     * Formats the partial exits of a trade for display
+     * @param {Object} trade - Closed trade
+     * @returns {string} Fills (e.g: "TP1 50% at $101000.0000 → $5.00 | TRAILING_STOP 50% at $100500.0000 → $2.50")
+     */
+    static formatFills(trade) {
+        return trade.fills.map(fill => {
+            const label = fill.reason === 'TP' ? `TP${fill.target}` : fill.reason;
+            return `${label} ${Math.round(fill.fraction * 100)}% at $${fill.price.toFixed(4)} → $${fill.resultUSD.toFixed(2)}`;
+        }).join(' | ');
+    }
+
+    /**
+     * Formats a ratio that may be undefined (e.g: profit factor without losses)
+     * @param {number|null} value - Ratio value
+     * @returns {string} Formatted ratio
+     */
+    static formatRatio(value) {
+        return value === null ? 'n/a' : value.toString();
+    }
+
     /**
      * Shows unified final statistics
      */
@@ -176,8 +409,35 @@ class BacktestEngine {
         console.log(`🎯 Total signals: ${signalStats.total}`);
         console.log(`   LONG: ${signalStats.long} (${Math.round(signalStats.long / signalStats.total * 100)}%)`);
         console.log(`   SHORT: ${signalStats.short} (${Math.round(signalStats.short / signalStats.total * 100)}%)`);
+        if (signalStats.bySetup) {
+            for (const [setup, setupStats] of Object.entries(signalStats.bySetup)) {
+                const trades = this.trades.filter(trade => trade.signal.setup === setup);
+                const wins = trades.filter(trade => trade.resultUSD > 0).length;
+                const winRate = trades.length > 0 ? MathUtils.round((wins / trades.length) * 100, 2) : 0;
+                const netPnL = MathUtils.round(trades.reduce((sum, trade) => sum + trade.resultUSD, 0), 2);
+                console.log(`   ${setup}: ${setupStats.total} signals (${setupStats.long} LONG / ${setupStats.short} SHORT) | ${trades.length} trades | Win rate ${winRate}% | P&L $${netPnL}`);
+            }
+        }
+        if (signalStats.filtered > 0) {
+            console.log(`🚫 Filtered out: ${signalStats.filtered}`);
+            Object.entries(signalStats.filteredByReason || {}).forEach(([reason, count]) => console.log(`   ${reason}: ${count}`));
+        }
+        if (this.skippedSignals.length > 0) {
+            const byReason = {};
+            this.skippedSignals.forEach(({ reason }) => { byReason[reason] = (byReason[reason] || 0) + 1; });
+            console.log(`⏭️  Skipped by the trade rules: ${this.skippedSignals.length}`);
+            Object.entries(byReason).forEach(([reason, count]) => console.log(`   ${reason}: ${count}`));
+        }
         
         // Trading statistics
+        BacktestEngine.showTradingStats(tradingStats);
+    }
+
+    /**
+     * Shows the trading results of a simulation
+     * @param {Object} tradingStats - Statistics from the simulator
+     */
+    static showTradingStats(tradingStats) {
         console.log(`💰 Trading Results:`);
         console.log(`   Total trades: ${tradingStats.totalTrades}`);
         console.log(`   ✅ Winners: ${tradingStats.winningTrades} | ❌ Losers: ${tradingStats.losingTrades}`);
@@ -185,6 +445,27 @@ class BacktestEngine {
         console.log(`   💵 Capital: $${tradingStats.initialCapital} → $${tradingStats.finalBalance}`);
         console.log(`   📈 Total profit: $${tradingStats.totalReturn} (${tradingStats.totalReturnPercent}%)`);
         console.log(`   📊 Avg win: $${tradingStats.avgWin} | Avg loss: $${tradingStats.avgLoss}`);
+        const recovery = tradingStats.timeToRecoveryHours !== null ? `${tradingStats.timeToRecoveryHours}h to recover` : 'not recovered';
+        console.log(`   📉 Max drawdown: $${tradingStats.maxDrawdown} (${tradingStats.maxDrawdownPercent}%) | Duration: ${tradingStats.drawdownDurationHours}h, ${recovery}`);
+        console.log(`   📐 Sharpe: ${BacktestEngine.formatRatio(tradingStats.sharpeRatio)} | Sortino: ${BacktestEngine.formatRatio(tradingStats.sortinoRatio)} | Calmar: ${BacktestEngine.formatRatio(tradingStats.calmarRatio)}`);
+        console.log(`   ⚖️  Profit factor: ${BacktestEngine.formatRatio(tradingStats.profitFactor)} | Payoff ratio: ${BacktestEngine.formatRatio(tradingStats.payoffRatio)} | Expectancy: $${tradingStats.expectancy}/trade`);
+        console.log(`   🏆 Largest win: $${tradingStats.largestWin} | Largest loss: $${tradingStats.largestLoss}`);
+        console.log(`   🔁 Longest streaks: ${tradingStats.longestWinStreak} wins / ${tradingStats.longestLossStreak} losses`);
+        console.log(`   ⏱️  Avg holding time: ${tradingStats.avgHoldingHours}h | Exposure: ${tradingStats.exposurePercent}%`);
+        if (tradingStats.liquidations > 0) {
+            console.log(`   💀 Liquidations: ${tradingStats.liquidations}`);
+        }
+        if (tradingStats.missedSignals > 0) {
+            console.log(`   ⌛ Missed signals (entry order not filled): ${tradingStats.missedSignals}`);
+        }
+        if (tradingStats.blockedSignals > 0) {
+            console.log(`   🛡️  Blocked by risk guards: ${tradingStats.blockedSignals}`);
+        }
+        if (tradingStats.ambiguousCandles > 0) {
+            const missing = tradingStats.ambiguousWithoutData > 0 ? ` (${tradingStats.ambiguousWithoutData} without lower-timeframe data)` : '';
+            console.log(`   🔍 Ambiguous candles (SL and TP touched): ${tradingStats.ambiguousCandles} | SL first: ${tradingStats.ambiguousStopFirst} | TP first: ${tradingStats.ambiguousTargetFirst} | SL assumed: ${tradingStats.ambiguousAssumedStop}${missing}`);
+        }
+        console.log(`   🧾 Gross profit: $${tradingStats.grossReturn} | Fees: $${tradingStats.totalFees} | Slippage: $${tradingStats.totalSlippage} | Funding: $${tradingStats.totalFunding}`);
     }
 }
 
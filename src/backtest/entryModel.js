@@ -0,0 +1,135 @@
+const TYPES = {
+    close: 'Market order at the close of the signal candle',
+    'next-open': 'Market order at the open of the next candle',
+    stop: 'Stop order at the broken level, filled when price crosses it (inside the signal candle or after it), cancelled after the expiry',
+    limit: 'Limit order at the broken level (retest), cancelled after the expiry'
+};
+
+class EntryModel {
+    /**
+     * @param {Object} options - Entry options
+     * @param {string} options.type - Order type (close, next-open, stop, limit)
+     * @param {number} options.expiryCandles - Candles a stop or limit order waits for a fill after the signal (default: 3)
+     */
+    constructor(options = {}) {
+        this.type = options.type || 'close';
+        this.expiryCandles = options.expiryCandles || 3;
+
+        if (!TYPES[this.type]) {
+            throw new Error(`Invalid entry type "${this.type}". Available: ${Object.keys(TYPES).join(', ')}`);
+        }
+        if (!Number.isInteger(this.expiryCandles) || this.expiryCandles < 1) {
+            throw new Error('Entry order expiry must be a whole number of candles (1 or more)');
+        }
+    }
+
+    /**
+     * Finds where the entry order of a signal is filled
+     * Stop and limit orders rest at the signal's orderPrice (the broken level), or at its entryPrice
+     * when the strategy gives none. Orders reached by a gap after the signal are filled at the candle open.
+     * @param {Object} signal - Trading signal
+     * @param {Array} remainingCandles - Candles after the signal candle
+     * @returns {Object} Fill ({ price, time, openedAt, candle, index, market, inside }) or { missed: true, reason }
+     *   index: position of the fill candle in remainingCandles (-1 for fills in the signal candle)
+     *   inside: true for fills before the signal candle closes
+     */
+    getFill(signal, remainingCandles) {
+        const orderPrice = signal.orderPrice !== undefined ? signal.orderPrice : signal.entryPrice;
+        const isLong = signal.direction === 'LONG';
+
+        switch (this.type) {
+            case 'next-open': {
+                const candle = remainingCandles[0];
+                return { price: candle.open, time: candle.openTime, openedAt: candle.openTime, candle, index: 0, market: true };
+            }
+            case 'stop': {
+                // Buy stops trigger when price rises to the level, sell stops when it falls to it
+                if (this.isCrossedInsideSignalCandle(signal, orderPrice)) {
+                    const candle = signal.candle;
+                    return { price: orderPrice, time: candle.openTime, openedAt: candle.openTime, candle, index: -1, market: true, inside: true };
+                }
+
+                // Otherwise the order is placed at the signal close and waits for price to reach the level
+                const candles = remainingCandles.slice(0, this.expiryCandles);
+                for (let i = 0; i < candles.length; i++) {
+                    const candle = candles[i];
+                    const touched = isLong ? candle.high >= orderPrice : candle.low <= orderPrice;
+                    if (touched) {
+                        const price = isLong ? Math.max(orderPrice, candle.open) : Math.min(orderPrice, candle.open);
+                        return { price, time: candle.openTime, openedAt: candle.openTime, candle, index: i, market: true };
+                    }
+                }
+                return {
+                    missed: true,
+                    reason: `Stop order at $${orderPrice.toFixed(4)} not filled within ${this.expiryCandles} candles`
+                };
+            }
+            case 'limit': {
+                const candles = remainingCandles.slice(0, this.expiryCandles);
+                for (let i = 0; i < candles.length; i++) {
+                    const candle = candles[i];
+                    const touched = isLong ? candle.low <= orderPrice : candle.high >= orderPrice;
+                    if (touched) {
+                        const price = isLong ? Math.min(orderPrice, candle.open) : Math.max(orderPrice, candle.open);
+                        return { price, time: candle.openTime, openedAt: candle.openTime, candle, index: i, market: false };
+                    }
+                }
+                return {
+                    missed: true,
+                    reason: `Limit order at $${orderPrice.toFixed(4)} not filled within ${this.expiryCandles} candles`
+                };
+            }
+            default:
+                return {
+                    price: signal.entryPrice,
+                    time: signal.candle.openTime,
+                    openedAt: signal.candle.closeTime,
+                    candle: signal.candle,
+                    index: -1,
+                    market: true
+                };
+        }
+    }
+
+    /**
+     * Checks if price crosses the level of a stop order inside the signal candle, in the trade direction
+     * Price must have been on the other side of the level during the candle (the wick of a fade) and close
+     * beyond it: the order is filled at the level on the way back, never at an open that was already beyond
+     * @param {Object} signal - Trading signal
+     * @param {number} orderPrice - Stop level
+     * @returns {boolean} True if the stop is filled inside the signal candle
+     */
+    isCrossedInsideSignalCandle(signal, orderPrice) {
+        const candle = signal.candle;
+        return signal.direction === 'LONG' ?
+            candle.low < orderPrice && candle.close >= orderPrice :
+            candle.high > orderPrice && candle.close <= orderPrice;
+    }
+
+    /**
+     * Checks if the orders may be filled before the signal candle closes
+     * (a position closed in that same candle may still be open when the order fills)
+     * @returns {boolean} True for stop entries
+     */
+    fillsInsideSignalCandle() {
+        return this.type === 'stop';
+    }
+
+    /**
+     * Describes the configured entry
+     * @returns {string} Entry type (with the expiry of stop and limit orders)
+     */
+    describe() {
+        return ['stop', 'limit'].includes(this.type) ? `${this.type} (expires after ${this.expiryCandles} candle${this.expiryCandles === 1 ? '' : 's'})` : this.type;
+    }
+
+    /**
+     * Lists the available entry types
+     * @returns {Object} Type name -> description
+     */
+    static getTypes() {
+        return { ...TYPES };
+    }
+}
+
+export default EntryModel;
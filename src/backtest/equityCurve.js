@@ -0,0 +1,210 @@
+import MathUtils from '../utils/mathUtils.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+class EquityCurve {
+    /**
+     * Builds the equity curve from the simulated trades
+     * @param {Array} candles - Array of candles of the backtest
+     * @param {Array} trades - Simulated trades (with balanceBefore/balanceAfter)
+     * @param {number} initialCapital - Initial capital in USD
+     * @returns {Object} Equity points per trade and per candle
+     */
+    static build(candles, trades, initialCapital) {
+        const perTrade = [{ time: candles.length > 0 ? candles[0].openTime : null, tradeId: null, balance: initialCapital }];
+        trades.forEach(trade => {
+            perTrade.push({ time: trade.exitTime, tradeId: trade.id, balance: trade.balanceAfter });
+        });
+
+        const perCandle = [];
+        const sortedTrades = [...trades].sort((a, b) => a.exitTime - b.exitTime);
+        let balance = initialCapital;
+        let nextClosed = 0;
+
+        for (const candle of candles) {
+            // Realize trades closed in this candle
+            while (nextClosed < sortedTrades.length && sortedTrades[nextClosed].exitTime <= candle.openTime) {
+                balance = sortedTrades[nextClosed].balanceAfter;
+                nextClosed++;
+            }
+
+            // Mark open trades to market at the candle close
+            let unrealized = 0;
+            let openTrades = 0;
+            for (const trade of trades) {
+                if (trade.entryTime <= candle.openTime && trade.exitTime > candle.openTime) {
+                    unrealized += EquityCurve.markToMarket(trade, candle.openTime, candle.close);
+                }
+                // Positions are held during the candle after entry until the exit candle
+                if (trade.entryTime < candle.openTime && trade.exitTime >= candle.openTime) {
+                    openTrades++;
+                }
+            }
+
+            perCandle.push({
+                time: candle.closeTime,
+                openTrades,
+                balance: MathUtils.round(balance, 2),
+                unrealized: MathUtils.round(unrealized, 2),
+                equity: MathUtils.round(balance + unrealized, 2)
+            });
+        }
+
+        return { perTrade, perCandle };
+    }
+
+    /**
+     * Builds the equity curve of a portfolio on the common timeline of several symbols
+     * @param {Object} candlesBySymbol - Candles by symbol
+     * @param {Array} trades - Settled trades of every symbol (with symbol, balanceBefore/balanceAfter)
+     * @param {number} initialCapital - Initial capital in USD
+     * @returns {Object} Equity points per trade and per candle
+     */
+    static buildPortfolio(candlesBySymbol, trades, initialCapital) {
+        // Common timeline: every candle open time of any symbol
+        const timeline = new Map();
+        for (const [symbol, candles] of Object.entries(candlesBySymbol)) {
+            for (const candle of candles) {
+                if (!timeline.has(candle.openTime)) {
+                    timeline.set(candle.openTime, { openTime: candle.openTime, closeTime: candle.closeTime, closes: {} });
+                }
+                timeline.get(candle.openTime).closes[symbol] = candle.close;
+            }
+        }
+        const steps = Array.from(timeline.values()).sort((a, b) => a.openTime - b.openTime);
+
+        const perTrade = [{ time: steps.length > 0 ? steps[0].openTime : null, tradeId: null, balance: initialCapital }];
+        const sortedTrades = [...trades].sort((a, b) => a.exitTime - b.exitTime);
+        sortedTrades.forEach(trade => {
+            perTrade.push({ time: trade.exitTime, tradeId: trade.id, balance: trade.balanceAfter });
+        });
+
+        const perCandle = [];
+        const lastClose = {};
+        let balance = initialCapital;
+        let nextClosed = 0;
+
+        for (const step of steps) {
+            Object.assign(lastClose, step.closes);
+
+            // Realize trades closed in this candle
+            while (nextClosed < sortedTrades.length && sortedTrades[nextClosed].exitTime <= step.openTime) {
+                balance = sortedTrades[nextClosed].balanceAfter;
+                nextClosed++;
+            }
+
+            // Mark open trades to market with the last close of their symbol
+            let unrealized = 0;
+            let openTrades = 0;
+            for (const trade of trades) {
+                if (trade.entryTime <= step.openTime && trade.exitTime > step.openTime && lastClose[trade.symbol] !== undefined) {
+                    unrealized += EquityCurve.markToMarket(trade, step.openTime, lastClose[trade.symbol]);
+                }
+                if (trade.entryTime < step.openTime && trade.exitTime >= step.openTime) {
+                    openTrades++;
+                }
+            }
+
+            perCandle.push({
+                time: step.closeTime,
+                openTrades,
+                balance: MathUtils.round(balance, 2),
+                unrealized: MathUtils.round(unrealized, 2),
+                equity: MathUtils.round(balance + unrealized, 2)
+            });
+        }
+
+        return { perTrade, perCandle };
+    }
+
+    /**
+     * Values an open trade: results of the partial exits already filled plus the open part at a price
+     * (partial exits are only added to the balance when the whole trade closes)
+     * @param {Object} trade - Trade open at that time
+     * @param {number} time - Candle open time
+     * @param {number} price - Price the open part is marked at
+     * @returns {number} Unrealized result in USD
+     */
+    static markToMarket(trade, time, price) {
+        let filled = 0;
+        let openFraction = 1;
+        for (const fill of trade.fills || []) {
+            if (fill.time <= time) {
+                filled += fill.resultUSD;
+                openFraction -= fill.fraction;
+            }
+        }
+
+        const pricePercent = MathUtils.calculateTradeResultPercent(trade.entryPrice, price, trade.direction);
+        return filled + (pricePercent / 100) * trade.positionSize * openFraction;
+    }
+
+    /**
+     * Calculates the maximum peak-to-trough drawdown of a series of equity points
+     * @param {Array} points - Equity points sorted by time
+     * @param {string} valueKey - Property holding the equity value (default: equity)
+     * @returns {Object} Drawdown statistics
+     */
+    static calculateDrawdown(points, valueKey = 'equity') {
+        const result = {
+            maxDrawdown: 0,
+            maxDrawdownPercent: 0,
+            peakTime: null,
+            troughTime: null,
+            recoveryTime: null,
+            drawdownDurationHours: 0,
+            timeToRecoveryHours: null
+        };
+
+        if (points.length === 0) {
+            return result;
+        }
+
+        let peak = points[0][valueKey];
+        let peakTime = points[0].time;
+        let current = null;
+
+        for (const point of points) {
+            const value = point[valueKey];
+
+            if (value >= peak) {
+                // New high: the drawdown being tracked (if any) has recovered
+                if (current && current.recoveryTime === null) {
+                    current.recoveryTime = point.time;
+                }
+                peak = value;
+                peakTime = point.time;
+                continue;
+            }
+
+            const drawdown = peak - value;
+            const drawdownPercent = peak > 0 ? (drawdown / peak) * 100 : 0;
+            result.maxDrawdown = Math.max(result.maxDrawdown, drawdown);
+
+            // The reported episode (peak, trough, recovery) is the deepest one in %
+            if (drawdownPercent > result.maxDrawdownPercent) {
+                current = {
+                    maxDrawdownPercent: drawdownPercent,
+                    peakTime,
+                    troughTime: point.time,
+                    recoveryTime: null
+                };
+                Object.assign(result, current);
+            }
+        }
+
+        if (current) {
+            result.recoveryTime = current.recoveryTime;
+            const endTime = current.recoveryTime !== null ? current.recoveryTime : points[points.length - 1].time;
+            result.drawdownDurationHours = MathUtils.round((endTime - current.peakTime) / HOUR_MS, 2);
+            result.timeToRecoveryHours = current.recoveryTime !== null ?
+                MathUtils.round((current.recoveryTime - current.troughTime) / HOUR_MS, 2) : null;
+        }
+
+        result.maxDrawdown = MathUtils.round(result.maxDrawdown, 2);
+        result.maxDrawdownPercent = MathUtils.round(result.maxDrawdownPercent, 2);
+        return result;
+    }
+}
+
+export default EquityCurve;
@@ -0,0 +1,124 @@
+const MERGE_GAP_MS = 3 * 60 * 60 * 1000; // Candles closer than this are fetched in a single request
+
+class IntrabarResolver {
+    /**
+     * @param {Object} dataSource - Data source of the lower-timeframe candles (see src/data)
+     * @param {string} interval - Lower timeframe (e.g: 1m, 5m)
+     */
+    constructor(dataSource, interval = '1m') {
+        this.dataSource = dataSource;
+        this.interval = interval;
+        this.candlesByParent = new Map(); // Parent candle open time -> lower-timeframe candles
+        this.missing = new Map(); // Parent candles that still need lower-timeframe data
+        this.attempted = new Set(); // Parent candles already requested (even if no data came back)
+    }
+
+    /**
+     * Replays the lower-timeframe candles of an ambiguous candle to find which level was hit first
+     * @param {Object} candle - Candle that touched both levels
+     * @param {string} direction - Trade direction (LONG/SHORT)
+     * @param {number} adversePrice - Stop loss or liquidation price
+     * @param {number} targetPrice - Take profit price
+     * @returns {string} 'ADVERSE', 'TARGET', 'BOTH' (still ambiguous at the lower timeframe) or 'NO_DATA'
+     */
+    firstHit(candle, direction, adversePrice, targetPrice) {
+        const subCandles = this.candlesByParent.get(candle.openTime);
+
+        if (!subCandles || subCandles.length === 0) {
+            if (!this.attempted.has(candle.openTime)) {
+                this.missing.set(candle.openTime, { openTime: candle.openTime, closeTime: candle.closeTime });
+            }
+            return 'NO_DATA';
+        }
+
+        for (const subCandle of subCandles) {
+            const hitAdverse = direction === 'LONG' ? subCandle.low <= adversePrice : subCandle.high >= adversePrice;
+            const hitTarget = direction === 'LONG' ? subCandle.high >= targetPrice : subCandle.low <= targetPrice;
+
+            if (hitAdverse && hitTarget) return 'BOTH';
+            if (hitAdverse) return 'ADVERSE';
+            if (hitTarget) return 'TARGET';
+        }
+
+        // The lower-timeframe candles do not reach the levels (gaps in the data)
+        return 'NO_DATA';
+    }
+
+    /**
+     * Checks if some ambiguous candles still need lower-timeframe data
+     * @returns {boolean} True if there are candles to load
+     */
+    hasMissing() {
+        return this.missing.size > 0;
+    }
+
+    /**
+     * Loads the lower-timeframe candles of every ambiguous candle found so far
+     * @param {string} symbol - Trading pair symbol
+     * @returns {Promise<number>} Number of candles with lower-timeframe data
+     */
+    async load(symbol) {
+        const parents = Array.from(this.missing.values()).sort((a, b) => a.openTime - b.openTime);
+        this.missing.clear();
+        parents.forEach(parent => this.attempted.add(parent.openTime));
+
+        if (parents.length === 0) {
+            return 0;
+        }
+
+        console.log(`🔍 Loading ${this.interval} candles for ${parents.length} ambiguous candles...`);
+
+        let loaded = 0;
+        for (const range of this.buildRanges(parents)) {
+            let subCandles;
+            try {
+                subCandles = await this.dataSource.getCandles({
+                    symbol,
+                    interval: this.interval,
+                    startTime: range.startTime,
+                    endTime: range.endTime
+                });
+            } catch (error) {
+                console.warn(`⚠️  Could not load ${this.interval} candles: ${error.message}`);
+                continue;
+            }
+
+            for (const parent of range.parents) {
+                const inside = subCandles.filter(c => c.openTime >= parent.openTime && c.openTime <= parent.closeTime);
+                if (inside.length > 0) {
+                    this.candlesByParent.set(parent.openTime, inside);
+                    loaded++;
+                }
+            }
+        }
+
+        console.log(`✅ ${this.interval} candles loaded for ${loaded}/${parents.length} ambiguous candles`);
+        return loaded;
+    }
+
+    /**
+     * Groups the candles to load into request ranges
+     * (local files are read once for the whole span)
+     * @param {Array} parents - Parent candles sorted by time
+     * @returns {Array} Ranges ({ startTime, endTime, parents })
+     */
+    buildRanges(parents) {
+        if (this.dataSource.name === 'file') {
+            return [{ startTime: parents[0].openTime, endTime: parents[parents.length - 1].closeTime, parents }];
+        }
+
+        const ranges = [];
+        for (const parent of parents) {
+            const last = ranges[ranges.length - 1];
+            if (last && parent.openTime - last.endTime <= MERGE_GAP_MS) {
+                last.endTime = parent.closeTime;
+                last.parents.push(parent);
+            } else {
+                ranges.push({ startTime: parent.openTime, endTime: parent.closeTime, parents: [parent] });
+            }
+        }
+        return ranges;
+    }
+}
+
+export default IntrabarResolver;
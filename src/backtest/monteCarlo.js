@@ -0,0 +1,235 @@
+import MathUtils from '../utils/mathUtils.js';
+
+const METHODS = ['bootstrap', 'shuffle'];
+const PERCENTILES = [5, 25, 50, 75, 95];
+const LOSS_THRESHOLDS = [10, 25, 50, 75];
+
+class MonteCarloSimulator {
+    /**
+     * @param {Object} options - Simulation options
+     * @param {number} options.iterations - Number of simulated paths (default: 5000)
+     * @param {string} options.method - 'bootstrap' (draw trades with replacement) or 'shuffle' (reorder the same trades)
+     * @param {number} options.ruinPercent - Loss of capital % considered as ruin (default: 50)
+     * @param {number} options.seed - Seed for reproducible runs (random if not set)
+     */
+    constructor(options = {}) {
+        this.iterations = options.iterations !== undefined ? options.iterations : 5000;
+        this.method = options.method || 'bootstrap';
+        this.ruinPercent = options.ruinPercent || 50;
+        this.seed = options.seed;
+
+        if (!METHODS.includes(this.method)) {
+            throw new Error(`Invalid Monte Carlo method "${this.method}". Use ${METHODS.join(' or ')}`);
+        }
+        if (!Number.isInteger(this.iterations) || this.iterations < 1) {
+            throw new Error('Monte Carlo iterations must be a whole number of paths (1 or more)');
+        }
+        if (this.ruinPercent <= 0 || this.ruinPercent > 100) {
+            throw new Error('Ruin threshold must be between 0 and 100%');
+        }
+    }
+
+    /**
+     * Gets the return of each trade as a fraction of the balance it was opened with
+     * (position size compounds with the balance, so returns are resampled instead of USD results)
+     * @param {Array} trades - Simulated trades (with balanceBefore/balanceAfter)
+     * @returns {Array} Trade returns as fractions
+     */
+    getTradeReturns(trades) {
+        return trades
+            .filter(trade => trade.balanceBefore > 0)
+            .map(trade => trade.balanceAfter / trade.balanceBefore - 1);
+    }
+
+    /**
+     * Runs the Monte Carlo simulation over the trades of a backtest
+     * @param {Array} trades - Simulated trades
+     * @param {number} initialCapital - Initial capital in USD
+     * @returns {Object} Distribution of final balance, return and drawdown, and loss probabilities
+     */
+    run(trades, initialCapital) {
+        const returns = this.getTradeReturns(trades);
+        if (returns.length === 0) {
+            throw new Error('Monte Carlo needs at least one trade');
+        }
+
+        const random = this.createRandom(this.seed);
+        const paths = [];
+
+        for (let i = 0; i < this.iterations; i++) {
+            const sequence = this.method === 'shuffle' ?
+                this.shuffle(returns, random) :
+                returns.map(() => returns[Math.floor(random() * returns.length)]);
+            paths.push(this.simulatePath(sequence, initialCapital));
+        }
+
+        const finalBalances = paths.map(p => p.finalBalance);
+        const returnsPercent = paths.map(p => (p.finalBalance / initialCapital - 1) * 100);
+        const drawdowns = paths.map(p => p.maxDrawdownPercent);
+
+        return {
+            settings: {
+                iterations: this.iterations,
+                method: this.method,
+                ruinPercent: this.ruinPercent,
+                seed: this.seed === undefined ? null : this.seed,
+                tradesPerPath: returns.length
+            },
+            finalBalance: this.getPercentiles(finalBalances),
+            totalReturnPercent: this.getPercentiles(returnsPercent),
+            maxDrawdownPercent: this.getPercentiles(drawdowns),
+            probabilityOfProfit: this.probability(finalBalances, balance => balance > initialCapital),
+            probabilityOfRuin: this.probability(paths, p => p.minBalance <= initialCapital * (1 - this.ruinPercent / 100)),
+            lossProbabilities: this.getLossProbabilities(paths, initialCapital)
+        };
+    }
+
+    /**
+     * Compounds a sequence of trade returns
+     * @param {Array} sequence - Trade returns as fractions
+     * @param {number} initialCapital - Initial capital in USD
+     * @returns {Object} Final balance, lowest balance and maximum drawdown of the path
+     */
+    simulatePath(sequence, initialCapital) {
+        let balance = initialCapital;
+        let peak = initialCapital;
+        let minBalance = initialCapital;
+        let maxDrawdownPercent = 0;
+
+        for (const tradeReturn of sequence) {
+            balance = Math.max(0, balance * (1 + tradeReturn));
+            peak = Math.max(peak, balance);
+            minBalance = Math.min(minBalance, balance);
+            maxDrawdownPercent = Math.max(maxDrawdownPercent, (1 - balance / peak) * 100);
+
+            if (balance === 0) {
+                break; // Account wiped out, no more trades can be opened
+            }
+        }
+
+        return { finalBalance: balance, minBalance, maxDrawdownPercent };
+    }
+
+    /**
+     * Calculates the probability of losing each threshold of capital
+     * @param {Array} paths - Simulated paths
+     * @param {number} initialCapital - Initial capital in USD
+     * @returns {Array} Probabilities by threshold (ending below it and falling below it at any point)
+     */
+    getLossProbabilities(paths, initialCapital) {
+        const thresholds = Array.from(new Set([...LOSS_THRESHOLDS, this.ruinPercent])).sort((a, b) => a - b);
+
+        return thresholds.map(lossPercent => ({
+            lossPercent,
+            probabilityFinalLoss: this.probability(paths, p => p.finalBalance <= initialCapital * (1 - lossPercent / 100)),
+            probabilityAnyPoint: this.probability(paths, p => p.minBalance <= initialCapital * (1 - lossPercent / 100))
+        }));
+    }
+
+    /**
+     * Gets the distribution percentiles of a set of values
+     * @param {Array} values - Values
+     * @returns {Object} Percentiles (p5, p25, p50, p75, p95), mean, min and max
+     */
+    getPercentiles(values) {
+        const sorted = [...values].sort((a, b) => a - b);
+        const result = {};
+
+        for (const percentile of PERCENTILES) {
+            // Linear interpolation between the closest ranks
+            const position = (percentile / 100) * (sorted.length - 1);
+            const lower = Math.floor(position);
+            const upper = Math.ceil(position);
+            const value = sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+            result[`p${percentile}`] = MathUtils.round(value, 2);
+        }
+
+        result.mean = MathUtils.round(sorted.reduce((sum, v) => sum + v, 0) / sorted.length, 2);
+        result.min = MathUtils.round(sorted[0], 2);
+        result.max = MathUtils.round(sorted[sorted.length - 1], 2);
+        return result;
+    }
+
+    /**
+     * Calculates the percentage of items matching a condition
+     * @param {Array} items - Items
+     * @param {Function} condition - Condition to check
+     * @returns {number} Probability in %
+     */
+    probability(items, condition) {
+        return MathUtils.round((items.filter(condition).length / items.length) * 100, 2);
+    }
+
+    /**
+     * Returns a shuffled copy of an array (Fisher-Yates)
+     * @param {Array} items - Items to shuffle
+     * @param {Function} random - Random number generator
+     * @returns {Array} Shuffled copy
+     */
+    shuffle(items, random) {
+        const shuffled = [...items];
+        for (let i = shuffled.length - 1; i > 0; i--) {
+            const j = Math.floor(random() * (i + 1));
+            [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+        }
+        return shuffled;
+    }
+
+    /**
+     * Creates a random number generator (mulberry32 when seeded, Math.random otherwise)
+     * @param {number} seed - Seed
+     * @returns {Function} Function returning numbers in [0, 1)
+     */
+    createRandom(seed) {
+        if (seed === undefined || seed === null) {
+            return Math.random;
+        }
+
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    /**
+     * Prints the Monte Carlo report
+     * @param {Object} analysis - Monte Carlo results
+     * @param {number} initialCapital - Initial capital in USD
+     */
+    showReport(analysis, initialCapital) {
+        const { settings } = analysis;
+        const row = (label, distribution, unit = '') => console.log(
+            `   ${label.padEnd(16)} ${PERCENTILES.map(p => `p${p}: ${unit}${distribution[`p${p}`]}`).join(' | ')}`
+        );
+
+        console.log(`\n🎲 Monte Carlo (${settings.iterations} paths, ${settings.method}, ${settings.tradesPerPath} trades each):`);
+        console.log('=' .repeat(60));
+        row('Final balance', analysis.finalBalance, '$');
+        row('Return %', analysis.totalReturnPercent);
+        row('Max drawdown %', analysis.maxDrawdownPercent);
+        console.log(`   📈 Probability of profit: ${analysis.probabilityOfProfit}%`);
+        console.log(`   💀 Risk of ruin (losing ${settings.ruinPercent}% of $${initialCapital} at any point): ${analysis.probabilityOfRuin}%`);
+        console.log('   📉 Probability of losing:');
+        analysis.lossProbabilities.forEach(loss => {
+            console.log(`      ${String(loss.lossPercent).padStart(3)}% → at the end: ${loss.probabilityFinalLoss}% | at any point: ${loss.probabilityAnyPoint}%`);
+        });
+
+        if (settings.method === 'shuffle') {
+            console.log('   ℹ️  Shuffling keeps the same trades, so the final balance only changes through early ruin; drawdowns reflect the trade order');
+        }
+    }
+
+    /**
+     * Lists the available resampling methods
+     * @returns {Array} Method names
+     */
+    static getMethods() {
+        return [...METHODS];
+    }
+}
+
+export default MonteCarloSimulator;
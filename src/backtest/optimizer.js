@@ -0,0 +1,244 @@
+import BacktestEngine from './engine.js';
+import { createStrategy } from '../strategies/index.js';
+import MathUtils from '../utils/mathUtils.js';
+
+// Simulator parameters that can be optimized (config key -> CLI option)
+const OPTIMIZABLE_PARAMS = {
+    stopLossPercent: 'sl',
+    takeProfitPercent: 'tp',
+    maxHours: 'hours',
+    leverage: 'leverage'
+};
+
+const OBJECTIVES = {
+    return: {
+        description: 'Total return %',
+        score: stats => stats.totalReturnPercent
+    },
+    sharpe: {
+        description: 'Sharpe ratio',
+        score: stats => stats.sharpeRatio
+    },
+    calmar: {
+        description: 'Calmar ratio',
+        score: stats => stats.calmarRatio
+    },
+    'return-dd': {
+        description: 'Drawdown-adjusted return (total return % / max drawdown %)',
+        // Profitable runs without drawdown rank above every finite ratio
+        score: stats => {
+            if (stats.totalTrades === 0) return null;
+            if (stats.maxDrawdownPercent > 0) return stats.totalReturnPercent / stats.maxDrawdownPercent;
+            return stats.totalReturnPercent > 0 ? Infinity : 0;
+        }
+    }
+};
+
+class Optimizer {
+    /**
+     * @param {Object} config - Base backtesting configuration (capital, strategy, costs...)
+     * @param {string} objective - Objective used to rank the runs (return, sharpe, calmar, return-dd)
+     */
+    constructor(config = {}, objective = 'return') {
+        if (!OBJECTIVES[objective]) {
+            throw new Error(`Unknown objective "${objective}". Available: ${Object.keys(OBJECTIVES).join(', ')}`);
+        }
+
+        this.config = config;
+        this.objective = objective;
+    }
+
+    /**
+     * Parses a range definition: "start:end:step", "a,b,c" or a single value
+     * @param {string|number} definition - Range definition
+     * @returns {Array} Values of the range
+     */
+    static parseRange(definition) {
+        const text = String(definition);
+
+        if (text.includes(':')) {
+            const [start, end, step = 1] = text.split(':').map(parseFloat);
+            if ([start, end, step].some(isNaN) || step <= 0 || end < start) {
+                throw new Error(`Invalid range "${text}". Expected start:end:step`);
+            }
+
+            const values = [];
+            // Round to avoid floating point drift (e.g: 0.1 steps)
+            for (let value = start; value <= end + step / 1e6; value += step) {
+                values.push(MathUtils.round(value, 8));
+            }
+            return values;
+        }
+
+        const values = text.split(',').map(parseFloat);
+        if (values.some(isNaN)) {
+            throw new Error(`Invalid value list "${text}"`);
+        }
+        return values;
+    }
+
+    /**
+     * Builds every combination of the optimizable parameters
+     * @param {Object} ranges - Range definitions by config key (missing keys use the base config)
+     * @returns {Array} Array of parameter sets
+     */
+    buildGrid(ranges = {}) {
+        let grid = [{}];
+
+        for (const key of Object.keys(OPTIMIZABLE_PARAMS)) {
+            const values = ranges[key] !== undefined ? Optimizer.parseRange(ranges[key]) : [this.config[key]];
+            grid = grid.flatMap(combination => values.map(value => ({ ...combination, [key]: value })));
+        }
+
+        return grid;
+    }
+
+    /**
+     * Detects the strategy signals once for a candle set
+     * @param {Array} candles - Array of candles
+     * @param {Object} referenceCandles - Higher-timeframe klines by interval needed by the strategy
+     * @returns {Array} Signals
+     */
+    detectSignals(candles, referenceCandles = {}) {
+        const strategy = createStrategy(this.config.strategy || 'breakout', this.config.strategyParams || {});
+        strategy.setReferenceCandles(referenceCandles);
+        return strategy.processCandles(candles, strategy.params);
+    }
+
+    /**
+     * Runs the engine for every parameter combination on the same candles and signals
+     * @param {Array} candles - Array of candles
+     * @param {Array} signals - Signals detected on the candles
+     * @param {Array} grid - Parameter combinations
+     * @param {boolean} verbose - Whether to log progress
+     * @returns {Array} Results ranked by the objective (best first)
+     */
+    run(candles, signals, grid, verbose = true) {
+        const results = [];
+        const progressStep = Math.max(1, Math.floor(grid.length / 10));
+
+        grid.forEach((params, index) => {
+            const result = this.evaluate(candles, signals, params);
+            results.push(result);
+
+            if (verbose && ((index + 1) % progressStep === 0 || index === grid.length - 1)) {
+                console.log(`   ⏳ ${index + 1}/${grid.length} combinations evaluated`);
+            }
+        });
+
+        return this.rank(results);
+    }
+
+    /**
+     * Runs a single parameter combination
+     * @param {Array} candles - Array of candles
+     * @param {Array} signals - Signals detected on the candles
+     * @param {Object} params - Parameter combination
+     * @param {boolean} keepSimulation - Also return trades and equity curve (memory heavy on large grids)
+     * @returns {Object} Run result (parameters, statistics and objective score)
+     */
+    evaluate(candles, signals, params, keepSimulation = false) {
+        const settings = { ...this.config, ...params };
+        const engine = new BacktestEngine(
+            settings.capital,
+            settings.leverage,
+            settings.maxHours,
+            settings.stopLossPercent,
+            settings.takeProfitPercent,
+            settings.outputDir,
+            {
+                strategy: settings.strategy,
+                strategyParams: settings.strategyParams,
+                costs: settings.costs,
+                maintenanceMarginPercent: settings.maintenanceMarginPercent,
+                sizing: settings.sizing,
+                entry: settings.entry,
+                management: settings.management,
+                risk: settings.risk,
+                hedging: settings.hedging
+            }
+        );
+
+        const simulation = engine.runSimulation(candles, signals);
+        const tradingStats = simulation.tradingStats;
+        const score = OBJECTIVES[this.objective].score(tradingStats);
+
+        const result = {
+            params,
+            score: score === null || score === undefined || isNaN(score) ? null : (isFinite(score) ? MathUtils.round(score, 4) : score),
+            stats: tradingStats
+        };
+
+        if (keepSimulation) {
+            result.simulation = simulation;
+        }
+
+        return result;
+    }
+
+    /**
+     * Sorts results by score (best first, runs without score last; equal scores by total return)
+     * @param {Array} results - Run results
+     * @returns {Array} Ranked results
+     */
+    rank(results) {
+        return [...results]
+            .sort((a, b) => {
+                if (a.score === null) return b.score === null ? 0 : 1;
+                if (b.score === null) return -1;
+                if (a.score === b.score) return b.stats.totalReturnPercent - a.stats.totalReturnPercent;
+                return b.score > a.score ? 1 : -1;
+            })
+            .map((result, index) => ({ rank: index + 1, ...result }));
+    }
+
+    /**
+     * Prints a ranking table
+     * @param {Array} results - Ranked results
+     * @param {number} top - Number of rows to show
+     */
+    showTable(results, top = 10) {
+        const columns = [
+            ['#', r => r.rank],
+            ['SL%', r => r.params.stopLossPercent],
+            ['TP%', r => r.params.takeProfitPercent],
+            ['Hours', r => r.params.maxHours],
+            ['Lev', r => r.params.leverage],
+            ['Trades', r => r.stats.totalTrades],
+            ['Win%', r => r.stats.winRate],
+            ['Return%', r => r.stats.totalReturnPercent],
+            ['MaxDD%', r => r.stats.maxDrawdownPercent],
+            ['Sharpe', r => r.stats.sharpeRatio],
+            ['Score', r => r.score]
+        ];
+
+        const rows = results.slice(0, top).map(result => columns.map(([, value]) => {
+            const cell = value(result);
+            return cell === null || cell === undefined ? 'n/a' : String(cell);
+        }));
+        const widths = columns.map(([title], i) => Math.max(title.length, ...rows.map(row => row[i].length)));
+
+        console.log(`\n🏁 Top ${Math.min(top, results.length)} of ${results.length} runs by ${OBJECTIVES[this.objective].description}:`);
+        console.log(columns.map(([title], i) => title.padStart(widths[i])).join('  '));
+        console.log(widths.map(width => '-'.repeat(width)).join('  '));
+        rows.forEach(row => console.log(row.map((cell, i) => cell.padStart(widths[i])).join('  ')));
+    }
+
+    /**
+     * Lists the available objectives
+     * @returns {Object} Objective name -> description
+     */
+    static getObjectives() {
+        return Object.fromEntries(Object.entries(OBJECTIVES).map(([name, objective]) => [name, objective.description]));
+    }
+
+    /**
+     * Lists the optimizable parameters
+     * @returns {Object} Config key -> CLI option name
+     */
+    static getOptimizableParams() {
+        return { ...OPTIMIZABLE_PARAMS };
+    }
+}
+
+export default Optimizer;
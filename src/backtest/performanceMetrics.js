@@ -0,0 +1,157 @@
+import DateUtils from '../utils/dateUtils.js';
+import MathUtils from '../utils/mathUtils.js';
+
+const PERIODS_PER_YEAR = 365; // Crypto markets trade every day
+
+class PerformanceMetrics {
+    /**
+     * Calculates the extended performance metrics of a backtest
+     * @param {Array} trades - Closed trades
+     * @param {Array} equityPoints - Per-candle equity curve
+     * @param {number} initialCapital - Initial capital in USD
+     * @param {number} maxDrawdownPercent - Maximum drawdown in % (for the Calmar ratio)
+     * @returns {Object} Performance metrics
+     */
+    static calculate(trades, equityPoints, initialCapital, maxDrawdownPercent = 0) {
+        const dailyReturns = this.getDailyReturns(equityPoints, initialCapital);
+        const results = trades.map(t => t.resultUSD);
+        const wins = results.filter(r => r > 0);
+        const losses = results.filter(r => r < 0);
+
+        const grossProfit = wins.reduce((sum, r) => sum + r, 0);
+        const grossLoss = Math.abs(losses.reduce((sum, r) => sum + r, 0));
+        const avgWin = wins.length > 0 ? grossProfit / wins.length : 0;
+        const avgLoss = losses.length > 0 ? grossLoss / losses.length : 0;
+        const streaks = this.getStreaks(results);
+
+        const annualizedReturn = this.getAnnualizedReturn(equityPoints, initialCapital);
+
+        return {
+            sharpeRatio: this.roundOrNull(this.sharpeRatio(dailyReturns)),
+            sortinoRatio: this.roundOrNull(this.sortinoRatio(dailyReturns)),
+            calmarRatio: this.roundOrNull(maxDrawdownPercent > 0 && annualizedReturn !== null ? annualizedReturn / maxDrawdownPercent : null),
+            annualizedReturnPercent: this.roundOrNull(annualizedReturn),
+            profitFactor: this.roundOrNull(grossLoss > 0 ? grossProfit / grossLoss : null),
+            expectancy: MathUtils.round(results.length > 0 ? results.reduce((sum, r) => sum + r, 0) / results.length : 0, 2),
+            payoffRatio: this.roundOrNull(avgLoss > 0 ? avgWin / avgLoss : null),
+            largestWin: MathUtils.round(wins.length > 0 ? MathUtils.max(wins) : 0, 2),
+            largestLoss: MathUtils.round(losses.length > 0 ? MathUtils.min(losses) : 0, 2),
+            longestWinStreak: streaks.win,
+            longestLossStreak: streaks.loss,
+            avgHoldingHours: MathUtils.round(trades.length > 0 ? trades.reduce((sum, t) => sum + t.durationHours, 0) / trades.length : 0, 2),
+            exposurePercent: MathUtils.round(this.getExposure(equityPoints), 2)
+        };
+    }
+
+    /**
+     * Gets the daily returns from the equity curve (last equity of each day)
+     * @param {Array} equityPoints - Per-candle equity curve
+     * @param {number} initialCapital - Initial capital in USD
+     * @returns {Array} Daily returns as fractions
+     */
+    static getDailyReturns(equityPoints, initialCapital) {
+        const closingEquity = new Map();
+        equityPoints.forEach(point => closingEquity.set(DateUtils.getDateOnly(point.time), point.equity));
+
+        const returns = [];
+        let previous = initialCapital;
+        for (const equity of closingEquity.values()) {
+            returns.push(previous > 0 ? equity / previous - 1 : 0);
+            previous = equity;
+        }
+
+        return returns;
+    }
+
+    /**
+     * Calculates the annualized Sharpe ratio (risk-free rate 0)
+     * @param {Array} returns - Daily returns
+     * @returns {number|null} Sharpe ratio
+     */
+    static sharpeRatio(returns) {
+        if (returns.length < 2) return null;
+        const mean = this.mean(returns);
+        const deviation = Math.sqrt(returns.reduce((sum, r) => sum + Math.pow(r - mean, 2), 0) / (returns.length - 1));
+        return deviation > 0 ? (mean / deviation) * Math.sqrt(PERIODS_PER_YEAR) : null;
+    }
+
+    /**
+     * Calculates the annualized Sortino ratio (only negative returns count as risk)
+     * @param {Array} returns - Daily returns
+     * @returns {number|null} Sortino ratio
+     */
+    static sortinoRatio(returns) {
+        if (returns.length < 2) return null;
+        const mean = this.mean(returns);
+        const downside = Math.sqrt(returns.reduce((sum, r) => sum + Math.pow(Math.min(r, 0), 2), 0) / returns.length);
+        return downside > 0 ? (mean / downside) * Math.sqrt(PERIODS_PER_YEAR) : null;
+    }
+
+    /**
+     * Calculates the compound annual growth rate of the equity curve
+     * @param {Array} equityPoints - Per-candle equity curve
+     * @param {number} initialCapital - Initial capital in USD
+     * @returns {number|null} Annualized return in %
+     */
+    static getAnnualizedReturn(equityPoints, initialCapital) {
+        if (equityPoints.length < 2 || initialCapital <= 0) return null;
+
+        const finalEquity = equityPoints[equityPoints.length - 1].equity;
+        const days = (equityPoints[equityPoints.length - 1].time - equityPoints[0].time) / (24 * 60 * 60 * 1000);
+        if (days <= 0) return null;
+        if (finalEquity <= 0) return -100;
+
+        return (Math.pow(finalEquity / initialCapital, PERIODS_PER_YEAR / days) - 1) * 100;
+    }
+
+    /**
+     * Gets the longest winning and losing streaks
+     * @param {Array} results - Trade results in USD, in chronological order
+     * @returns {Object} Longest streaks ({ win, loss })
+     */
+    static getStreaks(results) {
+        const streaks = { win: 0, loss: 0 };
+        let currentWin = 0;
+        let currentLoss = 0;
+
+        for (const result of results) {
+            currentWin = result > 0 ? currentWin + 1 : 0;
+            currentLoss = result < 0 ? currentLoss + 1 : 0;
+            streaks.win = Math.max(streaks.win, currentWin);
+            streaks.loss = Math.max(streaks.loss, currentLoss);
+        }
+
+        return streaks;
+    }
+
+    /**
+     * Gets the percentage of candles with an open position
+     * @param {Array} equityPoints - Per-candle equity curve
+     * @returns {number} Exposure in %
+     */
+    static getExposure(equityPoints) {
+        if (equityPoints.length === 0) return 0;
+        const inMarket = equityPoints.filter(point => point.openTrades > 0).length;
+        return (inMarket / equityPoints.length) * 100;
+    }
+
+    /**
+     * Calculates the mean of an array of numbers
+     * @param {Array} numbers - Array of numbers
+     * @returns {number} Mean
+     */
+    static mean(numbers) {
+        return numbers.reduce((sum, n) => sum + n, 0) / numbers.length;
+    }
+
+    /**
+     * Rounds a value, keeping null for undefined ratios
+     * @param {number|null} value - Value to round
+     * @returns {number|null} Rounded value or null
+     */
+    static roundOrNull(value) {
+        return value === null || !isFinite(value) ? null : MathUtils.round(value, 2);
+    }
+}
+
+export default PerformanceMetrics;
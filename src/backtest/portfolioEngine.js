@@ -0,0 +1,344 @@
+import { createStrategy } from '../strategies/index.js';
+import BacktestEngine from './engine.js';
+import TradeSimulator from './tradeSimulator.js';
+import TradeScheduler from './tradeScheduler.js';
+import EquityCurve from './equityCurve.js';
+import ResultsExporter from '../output/resultsExporter.js';
+import MathUtils from '../utils/mathUtils.js';
+
+class PortfolioEngine {
+    /**
+     * @param {Array} symbols - Trading pair symbols
+     * @param {Object} config - Backtesting configuration (capital, leverage, SL/TP, strategy, costs, sizing...)
+     * @param {Object} options - Portfolio options
+     * @param {string|Object} options.allocation - 'equal' or weights in % by symbol (e.g: { BTCUSDT: 50, ETHUSDT: 50 })
+     * @param {number} options.maxPositions - Maximum concurrent open positions (default: one per symbol)
+     */
+    constructor(symbols, config = {}, options = {}) {
+        if (!Array.isArray(symbols) || symbols.length === 0) {
+            throw new Error('A portfolio needs at least one symbol');
+        }
+
+        this.symbols = symbols;
+        this.config = config;
+        this.maxPositions = options.maxPositions || symbols.length;
+        this.weights = this.buildWeights(options.allocation || 'equal');
+        this.exporter = new ResultsExporter(config.outputDir);
+
+        // Shared account: settles the trades of every symbol on a single balance
+        this.account = this.createSimulator();
+        this.tradeCount = 0;
+    }
+
+    /**
+     * Builds the share of the balance each symbol can use as margin
+     * @param {string|Object} allocation - 'equal' or weights in % by symbol
+     * @returns {Object} Weight (0-1) by symbol
+     */
+    buildWeights(allocation) {
+        if (allocation === 'equal') {
+            // Split the balance between the positions that can be open at the same time
+            const weight = 1 / Math.min(this.symbols.length, this.maxPositions);
+            return Object.fromEntries(this.symbols.map(symbol => [symbol, weight]));
+        }
+
+        const missing = this.symbols.filter(symbol => !(allocation[symbol] > 0));
+        if (missing.length > 0) {
+            throw new Error(`Missing allocation for ${missing.join(', ')}`);
+        }
+
+        const total = this.symbols.reduce((sum, symbol) => sum + allocation[symbol], 0);
+        if (total > 100 + 1e-9) {
+            throw new Error(`Allocations add up to ${total}%, the maximum is 100%`);
+        }
+
+        return Object.fromEntries(this.symbols.map(symbol => [symbol, allocation[symbol] / 100]));
+    }
+
+    /**
+     * Creates a trade simulator with the portfolio settings
+     * @returns {TradeSimulator} Trade simulator
+     */
+    createSimulator() {
+        return new TradeSimulator(
+            this.config.capital,
+            this.config.leverage,
+            this.config.maxHours,
+            this.config.stopLossPercent,
+            this.config.takeProfitPercent,
+            {
+                costs: this.config.costs,
+                maintenanceMarginPercent: this.config.maintenanceMarginPercent,
+                sizing: this.config.sizing,
+                entry: this.config.entry,
+                management: this.config.management,
+                risk: this.config.risk
+            }
+        );
+    }
+
+    /**
+     * Executes the portfolio backtest
+     * @param {Object} candlesBySymbol - Candles by symbol
+     * @param {boolean} saveResults - Whether to save results to JSON
+     * @param {Object} referenceCandlesBySymbol - Higher-timeframe klines needed by the strategy, by symbol
+     * @returns {Promise<Object>} Portfolio results
+     */
+    async runBacktest(candlesBySymbol, saveResults = true, referenceCandlesBySymbol = {}) {
+        console.log(`🚀 Starting portfolio backtesting for ${this.symbols.join(', ')}`);
+        console.log(`📊 Allocation: ${this.symbols.map(s => `${s} ${MathUtils.round(this.weights[s] * 100, 2)}%`).join(' | ')} | Max positions: ${this.maxPositions}`);
+
+        if (this.account.isStopBeyondLiquidation()) {
+            console.warn('⚠️  The stop loss is beyond the liquidation price: positions will be liquidated before the stop is hit');
+        }
+
+        console.log('\n🔄 Simulating trades...');
+        const results = this.runSimulation(candlesBySymbol, true, referenceCandlesBySymbol);
+
+        this.showFinalStats(results);
+
+        if (saveResults) {
+            try {
+                const filepath = await this.exporter.exportPortfolio(results, this.symbols, candlesBySymbol[this.symbols[0]], this.config);
+                console.log(`📄 Results saved to: ${filepath}`);
+            } catch (error) {
+                console.error('⚠️  Failed to save results:', error.message);
+            }
+        }
+
+        return results;
+    }
+
+    /**
+     * Simulates every symbol on a common timeline with a shared balance
+     * @param {Object} candlesBySymbol - Candles by symbol
+     * @param {boolean} verbose - Whether to log each trade
+     * @param {Object} referenceCandlesBySymbol - Higher-timeframe klines needed by the strategy, by symbol
+     * @returns {Object} Trades, portfolio statistics, equity curve and per-symbol breakdown
+     */
+    runSimulation(candlesBySymbol, verbose = true, referenceCandlesBySymbol = {}) {
+        const log = verbose ? console.log : () => {};
+        const simulators = {};
+        const signalsBySymbol = {};
+        const candleIndexes = {};
+        const schedulers = {};
+        const skipped = Object.fromEntries(this.symbols.map(symbol => [symbol, 0]));
+        const missed = Object.fromEntries(this.symbols.map(symbol => [symbol, 0]));
+        const blocked = Object.fromEntries(this.symbols.map(symbol => [symbol, 0]));
+        const filteredSignals = [];
+        const events = [];
+
+        for (const symbol of this.symbols) {
+            const candles = candlesBySymbol[symbol] || [];
+            const strategy = createStrategy(this.config.strategy || 'breakout', this.config.strategyParams || {});
+            strategy.setReferenceCandles(referenceCandlesBySymbol[symbol] || {});
+
+            signalsBySymbol[symbol] = strategy.processCandles(candles, strategy.params);
+            strategy.getFilteredSignals().forEach(filtered => filteredSignals.push({ ...filtered, symbol }));
+            simulators[symbol] = this.createSimulator();
+            simulators[symbol].prepare(candles);
+            candleIndexes[symbol] = new Map(candles.map((candle, index) => [candle.openTime, index]));
+            schedulers[symbol] = new TradeScheduler({
+                ...strategy.getTradeRules(),
+                hedging: this.config.hedging,
+                fillsInsideSignalCandle: this.account.entryModel.fillsInsideSignalCandle()
+            });
+            signalsBySymbol[symbol].forEach(signal => events.push({ symbol, signal }));
+        }
+
+        // Common timeline: signals in time order (ties keep the symbol order)
+        events.sort((a, b) => a.signal.candle.openTime - b.signal.candle.openTime ||
+            this.symbols.indexOf(a.symbol) - this.symbols.indexOf(b.symbol));
+
+        let openTrades = [];
+        const settle = time => {
+            const closed = openTrades.filter(t => t.exitTime <= time).sort((a, b) => a.exitTime - b.exitTime);
+            closed.forEach(trade => this.account.settleTrade(trade));
+            openTrades = openTrades.filter(t => t.exitTime > time);
+        };
+
+        for (const { symbol, signal } of events) {
+            // Positions closed before this signal free their margin and update the balance
+            settle(signal.candle.openTime);
+
+            if (this.account.currentBalance <= 0) {
+                log('\n💀 Account balance depleted, no more trades can be opened');
+                break;
+            }
+
+            const candles = candlesBySymbol[symbol];
+            const entryCandleIndex = candleIndexes[symbol].has(signal.candle.openTime) ? candleIndexes[symbol].get(signal.candle.openTime) : -1;
+            if (entryCandleIndex === -1 || entryCandleIndex === candles.length - 1) {
+                continue;
+            }
+
+            const block = this.account.getRiskBlock(signal);
+            const skipReason = this.getSkipReason(symbol, openTrades) || schedulers[symbol].getBlockReason(signal, entryCandleIndex);
+            const usedMargin = openTrades.reduce((sum, t) => sum + t.margin, 0);
+            const allocatedBalance = Math.min(this.account.currentBalance * this.weights[symbol], this.account.currentBalance - usedMargin);
+
+            log(`🎯 ${signal.date} [${symbol}] ${signal.direction} at $${signal.entryPrice.toFixed(4)} - ${signal.reason}`);
+
+            if (block) {
+                blocked[symbol]++;
+                this.account.recordBlockedSignal(signal, block, symbol);
+                log(`   ⏭️  Skipped: ${block.reason}`);
+                continue;
+            }
+            if (skipReason || allocatedBalance <= 0) {
+                skipped[symbol]++;
+                log(`   ⏭️  Skipped: ${skipReason || 'no free margin'}`);
+                continue;
+            }
+
+            const trade = simulators[symbol].resolveTrade(signal, candles.slice(entryCandleIndex + 1), allocatedBalance);
+            if (trade.missed) {
+                missed[symbol]++;
+                this.account.recordMissedSignal(signal, trade.missReason, symbol);
+                log(`   ⌛ Missed: ${trade.missReason}`);
+                continue;
+            }
+            if (trade.skipped) {
+                skipped[symbol]++;
+                log(`   ⏭️  Skipped: ${trade.skipReason}`);
+                continue;
+            }
+
+            this.tradeCount++;
+            trade.id = `trade_${this.tradeCount}`;
+            trade.symbol = symbol;
+            openTrades.push(trade);
+            schedulers[symbol].recordTrade(trade, entryCandleIndex, candleIndexes[symbol].get(trade.exitTime));
+
+            const resultIcon = trade.resultUSD > 0 ? '✅' : '❌';
+            log(`   ${resultIcon} ${trade.exitReason} at $${trade.exitPrice.toFixed(4)} (${trade.durationHours}h) → $${trade.resultUSD.toFixed(2)} on $${MathUtils.round(allocatedBalance, 2)} allocated`);
+            if (trade.fills.length > 1) {
+                log(`      Fills: ${BacktestEngine.formatFills(trade)}`);
+            }
+        }
+
+        // Close the books with the positions still open
+        settle(Infinity);
+
+        this.account.equityCurve = EquityCurve.buildPortfolio(candlesBySymbol, this.account.trades, this.config.capital);
+        const tradingStats = this.account.getTradingStats();
+
+        log(`\n✅ ${this.account.trades.length} trades simulated`);
+
+        return {
+            trades: this.account.trades,
+            missedSignals: this.account.getMissedSignals(),
+            blockedSignals: this.account.getBlockedSignals(),
+            filteredSignals,
+            tradingStats,
+            equityCurve: this.account.getEquityCurve(),
+            symbols: this.buildSymbolBreakdown(candlesBySymbol, signalsBySymbol, skipped, missed, blocked, filteredSignals)
+        };
+    }
+
+    /**
+     * Checks the portfolio rules before opening a position
+     * (one position per symbol unless hedging is enabled)
+     * @param {string} symbol - Symbol of the signal
+     * @param {Array} openTrades - Trades still open
+     * @returns {string|null} Reason to skip the signal or null
+     */
+    getSkipReason(symbol, openTrades) {
+        if (!this.config.hedging && openTrades.some(t => t.symbol === symbol)) {
+            return `${symbol} position already open`;
+        }
+        if (openTrades.length >= this.maxPositions) {
+            return `max ${this.maxPositions} open positions reached`;
+        }
+        return null;
+    }
+
+    /**
+     * Builds the per-symbol breakdown, including the symbol traded alone with the whole capital
+     * @param {Object} candlesBySymbol - Candles by symbol
+     * @param {Object} signalsBySymbol - Signals by symbol
+     * @param {Object} skipped - Skipped signals by symbol
+     * @param {Object} missed - Signals whose entry order was not filled, by symbol
+     * @param {Object} blocked - Signals blocked by the risk guards, by symbol
+     * @param {Array} filteredSignals - Signals rejected by the strategy filters ({ signal, reason, symbol })
+     * @returns {Array} Breakdown by symbol
+     */
+    buildSymbolBreakdown(candlesBySymbol, signalsBySymbol, skipped, missed, blocked, filteredSignals = []) {
+        const initialCapital = this.config.capital;
+
+        return this.symbols.map(symbol => {
+            const trades = this.account.trades.filter(t => t.symbol === symbol);
+            const wins = trades.filter(t => t.resultUSD > 0).length;
+            const netPnL = trades.reduce((sum, t) => sum + t.resultUSD, 0);
+            const standalone = this.runStandalone(candlesBySymbol[symbol] || [], signalsBySymbol[symbol]);
+
+            return {
+                symbol,
+                allocationPercent: MathUtils.round(this.weights[symbol] * 100, 2),
+                signals: signalsBySymbol[symbol].length,
+                trades: trades.length,
+                skippedSignals: skipped[symbol],
+                missedSignals: missed[symbol],
+                blockedSignals: blocked[symbol],
+                filteredSignals: filteredSignals.filter(filtered => filtered.symbol === symbol).length,
+                winRate: MathUtils.round(trades.length > 0 ? (wins / trades.length) * 100 : 0, 2),
+                liquidations: trades.filter(t => t.exitReason === 'LIQUIDATION').length,
+                netPnL: MathUtils.round(netPnL, 2),
+                contributionPercent: MathUtils.round((netPnL / initialCapital) * 100, 2),
+                totalFees: MathUtils.round(trades.reduce((sum, t) => sum + t.fees, 0), 2),
+                standalone: {
+                    totalReturnPercent: standalone.totalReturnPercent,
+                    maxDrawdownPercent: standalone.maxDrawdownPercent,
+                    sharpeRatio: standalone.sharpeRatio
+                }
+            };
+        });
+    }
+
+    /**
+     * Backtests a single symbol alone with the whole capital (to compare against the portfolio)
+     * @param {Array} candles - Candles of the symbol
+     * @param {Array} signals - Signals of the symbol
+     * @returns {Object} Trading statistics
+     */
+    runStandalone(candles, signals) {
+        const engine = new BacktestEngine(
+            this.config.capital,
+            this.config.leverage,
+            this.config.maxHours,
+            this.config.stopLossPercent,
+            this.config.takeProfitPercent,
+            this.config.outputDir,
+            {
+                strategy: this.config.strategy,
+                strategyParams: this.config.strategyParams,
+                costs: this.config.costs,
+                maintenanceMarginPercent: this.config.maintenanceMarginPercent,
+                sizing: this.config.sizing,
+                entry: this.config.entry,
+                management: this.config.management,
+                risk: this.config.risk,
+                hedging: this.config.hedging
+            }
+        );
+
+        return engine.runSimulation(candles, signals).tradingStats;
+    }
+
+    /**
+     * Shows the portfolio statistics and the per-symbol breakdown
+     * @param {Object} results - Portfolio results
+     */
+    showFinalStats(results) {
+        console.log('\n📊 Portfolio Statistics:');
+        console.log('=' .repeat(60));
+        BacktestEngine.showTradingStats(results.tradingStats);
+
+        console.log('\n🧩 By symbol (portfolio | traded alone with the whole capital):');
+        for (const item of results.symbols) {
+            console.log(`   ${item.symbol}: ${item.trades} trades (${item.skippedSignals} skipped${item.missedSignals > 0 ? `, ${item.missedSignals} missed` : ''}${item.blockedSignals > 0 ? `, ${item.blockedSignals} blocked` : ''}${item.filteredSignals > 0 ? `, ${item.filteredSignals} filtered` : ''}) | Win rate ${item.winRate}% | P&L $${item.netPnL} (${item.contributionPercent}% of capital) | Alone: ${item.standalone.totalReturnPercent}% return, ${item.standalone.maxDrawdownPercent}% max DD, Sharpe ${BacktestEngine.formatRatio(item.standalone.sharpeRatio)}`);
+        }
+    }
+}
+
+export default PortfolioEngine;
@@ -0,0 +1,171 @@
+import MathUtils from '../utils/mathUtils.js';
+import { ATR } from '../indicators/index.js';
+
+// Default value of each model (null: the model takes no value or requires one)
+const MODELS = {
+    full: { description: 'Whole balance as margin (balance x leverage)', defaultValue: null },
+    'fixed-notional': { description: 'Fixed position size in USD', defaultValue: null },
+    'fixed-fraction': { description: '% of the balance used as margin', defaultValue: 10 },
+    'fixed-risk': { description: '% of the balance lost if the stop loss is hit', defaultValue: 1 },
+    atr: { description: '% of the balance moved by one ATR', defaultValue: 1 },
+    kelly: { description: 'Fraction of the Kelly criterion from the previous trades', defaultValue: 0.5 }
+};
+
+const KELLY_WARMUP_RISK_PERCENT = 1; // Fixed risk used until enough trades are available for Kelly
+
+class PositionSizer {
+    /**
+     * @param {Object} options - Sizing options
+     * @param {string} options.model - Sizing model (full, fixed-notional, fixed-fraction, fixed-risk, atr, kelly)
+     * @param {number} options.value - Model value (USD for fixed-notional, % for fixed-fraction/fixed-risk/atr, Kelly fraction for kelly)
+     * @param {number} options.atrPeriod - ATR period in candles (default: 14)
+     * @param {number} options.kellyMinTrades - Trades needed before Kelly sizing is used (default: 20)
+     */
+    constructor(options = {}) {
+        this.model = options.model || 'full';
+
+        if (!MODELS[this.model]) {
+            throw new Error(`Invalid sizing model "${this.model}". Available: ${Object.keys(MODELS).join(', ')}`);
+        }
+
+        this.value = options.value !== undefined && options.value !== null ? options.value : MODELS[this.model].defaultValue;
+        this.atrPeriod = options.atrPeriod || 14;
+        this.kellyMinTrades = options.kellyMinTrades || 20;
+        this.atrByTime = null;
+        this.tradeReturns = [];
+
+        if (this.model === 'fixed-notional' && !(this.value > 0)) {
+            throw new Error('The fixed-notional sizing model needs a position size in USD (e.g: fixed-notional:500)');
+        }
+    }
+
+    /**
+     * Precomputes the ATR of every candle (only needed by the atr model)
+     * @param {Array} candles - Array of candles
+     */
+    prepare(candles) {
+        this.tradeReturns = [];
+
+        if (this.model === 'atr') {
+            this.atrByTime = ATR.calculate(candles, this.atrPeriod);
+        }
+    }
+
+    /**
+     * Calculates the position size (notional) of a new trade
+     * The margin used (size / leverage) never exceeds the balance
+     * @param {Object} context - Trade context
+     * @param {number} context.balance - Current balance in USD
+     * @param {number} context.leverage - Leverage
+     * @param {number} context.entryPrice - Entry price
+     * @param {number} context.stopLoss - Stop loss price
+     * @param {Object} context.candle - Signal candle
+     * @returns {Object} Position size in USD and, when it is 0, the reason ({ positionSize, reason })
+     */
+    getPositionSize({ balance, leverage, entryPrice, stopLoss, candle }) {
+        const maxSize = Math.max(0, balance * leverage);
+        const stopDistance = Math.abs(entryPrice - stopLoss) / entryPrice;
+        let size;
+
+        switch (this.model) {
+            case 'fixed-notional':
+                size = this.value;
+                break;
+            case 'fixed-fraction':
+                size = balance * (this.value / 100) * leverage;
+                break;
+            case 'fixed-risk':
+                size = this.getRiskSize(balance, this.value, stopDistance);
+                break;
+            case 'atr': {
+                const atr = this.atrByTime ? this.atrByTime.get(candle.openTime) : null;
+                if (!atr) {
+                    return { positionSize: 0, reason: `ATR(${this.atrPeriod}) not available yet` };
+                }
+                size = balance * (this.value / 100) / (atr / entryPrice);
+                break;
+            }
+            case 'kelly': {
+                const kelly = this.getKellyFraction();
+                if (kelly === null) {
+                    size = this.getRiskSize(balance, KELLY_WARMUP_RISK_PERCENT, stopDistance);
+                    break;
+                }
+                if (kelly.fraction <= 0) {
+                    return { positionSize: 0, reason: 'Kelly criterion has no edge' };
+                }
+                // Kelly gives the fraction of the balance to lose on an average losing trade
+                size = balance * kelly.fraction * this.value / kelly.avgLoss;
+                break;
+            }
+            default:
+                size = maxSize;
+        }
+
+        return { positionSize: MathUtils.round(Math.min(size, maxSize), 2), reason: null };
+    }
+
+    /**
+     * Calculates the size that loses a percentage of the balance at the stop loss
+     * @param {number} balance - Current balance in USD
+     * @param {number} riskPercent - % of the balance to risk
+     * @param {number} stopDistance - Stop distance as a fraction of the entry price
+     * @returns {number} Position size in USD
+     */
+    getRiskSize(balance, riskPercent, stopDistance) {
+        return stopDistance > 0 ? balance * (riskPercent / 100) / stopDistance : 0;
+    }
+
+    /**
+     * Records the price return of a closed trade for the running Kelly statistics
+     * (price returns do not depend on the position size, so skipped trades count too)
+     * @param {Object} trade - Closed trade
+     */
+    recordTrade(trade) {
+        const priceReturn = trade.exitReason === 'LIQUIDATION' ?
+            -1 / trade.leverage :
+            MathUtils.calculateTradeResultPercent(trade.entryPrice, trade.exitPrice, trade.direction) / 100;
+        this.tradeReturns.push(priceReturn);
+    }
+
+    /**
+     * Calculates the Kelly fraction from the previous trades (f = W - (1 - W) / R)
+     * @returns {Object|null} Kelly fraction and average loss as a price fraction, null while warming up
+     */
+    getKellyFraction() {
+        if (this.tradeReturns.length < this.kellyMinTrades) {
+            return null;
+        }
+
+        const wins = this.tradeReturns.filter(r => r > 0);
+        const losses = this.tradeReturns.filter(r => r < 0);
+        if (losses.length === 0) {
+            return null; // No losses yet: the payoff ratio is undefined
+        }
+
+        const winRate = wins.length / this.tradeReturns.length;
+        const avgWin = wins.length > 0 ? wins.reduce((sum, r) => sum + r, 0) / wins.length : 0;
+        const avgLoss = Math.abs(losses.reduce((sum, r) => sum + r, 0) / losses.length);
+        const fraction = avgWin > 0 ? winRate - (1 - winRate) / (avgWin / avgLoss) : -1;
+
+        return { fraction, avgLoss };
+    }
+
+    /**
+     * Describes the configured model
+     * @returns {string} Model and value (e.g: "fixed-risk:1")
+     */
+    describe() {
+        return this.value === null ? this.model : `${this.model}:${this.value}`;
+    }
+
+    /**
+     * Lists the available sizing models
+     * @returns {Object} Model name -> description
+     */
+    static getModels() {
+        return Object.fromEntries(Object.entries(MODELS).map(([name, model]) => [name, model.description]));
+    }
+}
+
+export default PositionSizer;
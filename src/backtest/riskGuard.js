@@ -0,0 +1,157 @@
+import DateUtils from '../utils/dateUtils.js';
+import MathUtils from '../utils/mathUtils.js';
+
+class RiskGuard {
+    /**
+     * @param {Object} options - Risk guard options (each guard is off when not set)
+     * @param {number} options.dailyLossPercent - Loss of the trading day (% of its starting balance) that stops trading until the next day
+     * @param {number} options.weeklyLossPercent - Loss of the week (% of its starting balance) that stops trading until the next week
+     * @param {Object} options.lossStreak - Pause after consecutive losses ({ losses, pauseDays })
+     * @param {number} options.equityStopPercent - Balance floor (% of the initial capital) that halts the backtest
+     * @param {number} initialCapital - Initial capital in USD
+     */
+    constructor(options = {}, initialCapital = 100) {
+        this.dailyLossPercent = options.dailyLossPercent || null;
+        this.weeklyLossPercent = options.weeklyLossPercent || null;
+        this.lossStreak = options.lossStreak || null;
+        this.equityStopPercent = options.equityStopPercent || null;
+        this.initialCapital = initialCapital;
+
+        for (const [key, value] of [['daily loss limit', this.dailyLossPercent], ['weekly loss limit', this.weeklyLossPercent]]) {
+            if (value !== null && !(value > 0 && value <= 100)) {
+                throw new Error(`The ${key} must be a loss between 0% and 100% of the balance`);
+            }
+        }
+        if (this.lossStreak) {
+            RiskGuard.validateLossStreak(this.lossStreak);
+        }
+        if (this.equityStopPercent !== null && !(this.equityStopPercent > 0 && this.equityStopPercent < 100)) {
+            throw new Error('The equity stop must be a balance between 0% and 100% of the initial capital');
+        }
+
+        this.reset();
+    }
+
+    /**
+     * Parses a loss streak pause ("K:N" pauses N days after K losses in a row)
+     * @param {string} value - Loss streak option
+     * @returns {Object} Pause ({ losses, pauseDays })
+     */
+    static parseLossStreak(value) {
+        const [losses, pauseDays] = String(value).split(':').map(Number);
+        const lossStreak = { losses, pauseDays };
+        RiskGuard.validateLossStreak(lossStreak);
+        return lossStreak;
+    }
+
+    /**
+     * Validates a loss streak pause
+     * @param {Object} lossStreak - Pause ({ losses, pauseDays })
+     */
+    static validateLossStreak({ losses, pauseDays }) {
+        if (!Number.isInteger(losses) || losses < 1 || !Number.isInteger(pauseDays) || pauseDays < 0) {
+            throw new Error('Invalid loss streak pause. Use LOSSES:DAYS (e.g: 3:1 pauses 1 day after 3 losses in a row)');
+        }
+    }
+
+    /**
+     * Clears the results seen so far (to simulate the same candles again)
+     */
+    reset() {
+        this.balance = this.initialCapital;
+        this.periods = {}; // Period key -> { startBalance, pnl } of the trades closed in it
+        this.consecutiveLosses = 0;
+        this.pausedUntil = null; // First trading day after a loss streak pause (YYYY-MM-DD)
+        this.pauseStreak = 0;
+    }
+
+    /**
+     * Registers a settled trade (by the period it closed in)
+     * @param {Object} trade - Settled trade (balanceBefore and balanceAfter set)
+     */
+    recordTrade(trade) {
+        const keys = [`day:${DateUtils.getPeriodKey(trade.exitTime, 'day')}`, `week:${DateUtils.getPeriodKey(trade.exitTime, 'week')}`];
+        for (const key of keys) {
+            // The balance a period started with: before the first trade closed in it
+            this.periods[key] = this.periods[key] || { startBalance: trade.balanceBefore, pnl: 0 };
+            this.periods[key].pnl += trade.resultUSD;
+        }
+        this.balance = trade.balanceAfter;
+
+        this.consecutiveLosses = trade.resultUSD < 0 ? this.consecutiveLosses + 1 : 0;
+        if (this.lossStreak && this.consecutiveLosses >= this.lossStreak.losses) {
+            this.pausedUntil = DateUtils.addDays(DateUtils.getDateOnly(trade.exitTime), this.lossStreak.pauseDays + 1);
+            this.pauseStreak = this.consecutiveLosses;
+            this.consecutiveLosses = 0;
+        }
+    }
+
+    /**
+     * Checks if a signal can be traded with the results settled so far
+     * @param {Object} signal - Trading signal
+     * @returns {Object|null} Guard blocking the signal ({ guard, reason }) or null
+     */
+    check(signal) {
+        const time = signal.candle.openTime;
+
+        if (this.equityStopPercent !== null) {
+            const floor = this.initialCapital * this.equityStopPercent / 100;
+            if (this.balance < floor) {
+                return { guard: 'equityStop', reason: `Equity stop: balance $${this.balance} below $${MathUtils.round(floor, 2)}` };
+            }
+        }
+
+        if (this.pausedUntil !== null && DateUtils.getDateOnly(time) < this.pausedUntil) {
+            return { guard: 'lossStreak', reason: `Paused after ${this.pauseStreak} losses in a row (until ${this.pausedUntil})` };
+        }
+
+        const limits = [
+            { guard: 'weeklyLoss', percent: this.weeklyLossPercent, key: `week:${DateUtils.getPeriodKey(time, 'week')}`, label: 'Weekly', period: 'this week' },
+            { guard: 'dailyLoss', percent: this.dailyLossPercent, key: `day:${DateUtils.getPeriodKey(time, 'day')}`, label: 'Daily', period: 'today' }
+        ];
+        for (const { guard, percent, key, label, period } of limits) {
+            const results = this.periods[key];
+            if (percent === null || !results || results.pnl >= 0) {
+                continue;
+            }
+            const lossPercent = (-results.pnl / results.startBalance) * 100;
+            if (lossPercent >= percent) {
+                return { guard, reason: `${label} loss limit of ${percent}% reached (-${MathUtils.round(lossPercent, 2)}% ${period})` };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Checks if any guard is enabled
+     * @returns {boolean} True with at least one guard
+     */
+    isEnabled() {
+        return this.dailyLossPercent !== null || this.weeklyLossPercent !== null || this.lossStreak !== null || this.equityStopPercent !== null;
+    }
+
+    /**
+     * Describes the configured guards
+     * @returns {string} Guards (e.g: "daily loss 5% | pause 1 day after 3 losses | equity stop at 50%")
+     */
+    describe() {
+        const guards = [];
+        if (this.dailyLossPercent !== null) {
+            guards.push(`daily loss ${this.dailyLossPercent}%`);
+        }
+        if (this.weeklyLossPercent !== null) {
+            guards.push(`weekly loss ${this.weeklyLossPercent}%`);
+        }
+        if (this.lossStreak) {
+            const { losses, pauseDays } = this.lossStreak;
+            guards.push(`pause ${pauseDays} day${pauseDays === 1 ? '' : 's'} after ${losses} loss${losses === 1 ? '' : 'es'}`);
+        }
+        if (this.equityStopPercent !== null) {
+            guards.push(`equity stop at ${this.equityStopPercent}%`);
+        }
+        return guards.length > 0 ? guards.join(' | ') : 'off';
+    }
+}
+
+export default RiskGuard;
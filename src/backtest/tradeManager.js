@@ -0,0 +1,204 @@
+import MathUtils from '../utils/mathUtils.js';
+import { ATR } from '../indicators/index.js';
+
+const TRAILING_TYPES = {
+    percent: '% of capital behind the best price',
+    atr: 'ATR multiple behind the best price'
+};
+
+class TradeManager {
+    /**
+     * @param {Object} options - Trade management options
+     * @param {number} options.breakEvenPercent - Profit (% of capital) that moves the stop to the entry price (off when not set)
+     * @param {Object} options.trailing - Trailing stop ({ type: 'percent' | 'atr', value }), off when not set
+     * @param {Array} options.takeProfitLevels - Partial take profits ({ percent: % of capital, fraction: % of the position }),
+     *   a single take profit at --tp when not set
+     * @param {number} options.atrPeriod - ATR period in candles for atr trailing stops (default: 14)
+     */
+    constructor(options = {}) {
+        this.breakEvenPercent = options.breakEvenPercent || null;
+        this.trailing = options.trailing || null;
+        this.takeProfitLevels = options.takeProfitLevels || null;
+        this.atrPeriod = options.atrPeriod || 14;
+        this.atrByTime = null;
+
+        if (this.breakEvenPercent !== null && !(this.breakEvenPercent > 0)) {
+            throw new Error('The break-even trigger must be a profit above 0% of capital');
+        }
+        if (this.trailing && (!TRAILING_TYPES[this.trailing.type] || !(this.trailing.value > 0))) {
+            throw new Error(`Invalid trailing stop. Use ${Object.keys(TRAILING_TYPES).map(type => `${type}:N`).join(' or ')}`);
+        }
+        if (this.takeProfitLevels) {
+            TradeManager.validateTakeProfitLevels(this.takeProfitLevels);
+        }
+    }
+
+    /**
+     * Parses partial take profits (e.g: "10:50,20:50" closes half at +10% and half at +20% of capital)
+     * The fraction of the last level can be left out to close the rest of the position
+     * @param {string} value - Levels as PERCENT:FRACTION,...
+     * @returns {Array} Levels ({ percent, fraction }) sorted from the closest
+     */
+    static parseTakeProfitLevels(value) {
+        const entries = String(value).split(',');
+        const levels = entries.map((entry, index) => {
+            const [percent, fraction] = entry.split(':').map(part => part === undefined ? undefined : parseFloat(part));
+            const isLast = index === entries.length - 1;
+            return { percent, fraction: fraction === undefined && isLast ? null : fraction };
+        });
+
+        TradeManager.validateTakeProfitLevels(levels);
+
+        const sorted = [...levels].sort((a, b) => a.percent - b.percent);
+        const rest = 100 - sorted.filter(level => level.fraction !== null).reduce((sum, level) => sum + level.fraction, 0);
+        return sorted.map(level => ({ percent: level.percent, fraction: level.fraction === null ? MathUtils.round(rest, 6) : level.fraction }));
+    }
+
+    /**
+     * Validates partial take profits
+     * @param {Array} levels - Levels ({ percent, fraction }), fraction null for "the rest"
+     */
+    static validateTakeProfitLevels(levels) {
+        for (const level of levels) {
+            if (!(level.percent > 0) || (level.fraction !== null && !(level.fraction > 0))) {
+                throw new Error('Invalid take profit levels. Use PERCENT:FRACTION,... (e.g: 10:50,20:50)');
+            }
+        }
+
+        const total = levels.reduce((sum, level) => sum + (level.fraction || 0), 0);
+        if (total > 100 + 1e-9 || (total >= 100 - 1e-9 && levels.some(level => level.fraction === null))) {
+            throw new Error('Take profit fractions add up to more than 100% of the position');
+        }
+        if (new Set(levels.map(level => level.percent)).size !== levels.length) {
+            throw new Error('Take profit levels must be different');
+        }
+    }
+
+    /**
+     * Parses a trailing stop ("percent:N" or "atr:N")
+     * @param {string} value - Trailing stop option
+     * @returns {Object} Trailing stop ({ type, value })
+     */
+    static parseTrailing(value) {
+        const [type, amount] = String(value).split(':');
+        const trailing = { type, value: parseFloat(amount) };
+
+        if (!TRAILING_TYPES[type] || !(trailing.value > 0)) {
+            throw new Error(`Invalid trailing stop "${value}". Use ${Object.keys(TRAILING_TYPES).map(name => `${name}:N`).join(' or ')}`);
+        }
+        return trailing;
+    }
+
+    /**
+     * Precomputes the ATR of every candle (only needed by atr trailing stops)
+     * @param {Array} candles - Array of candles
+     */
+    prepare(candles) {
+        if (this.trailing && this.trailing.type === 'atr') {
+            this.atrByTime = ATR.calculate(candles, this.atrPeriod);
+        }
+    }
+
+    /**
+     * Builds the take profit targets of a new trade
+     * @param {number} entryPrice - Entry price
+     * @param {string} direction - Trade direction (LONG/SHORT)
+     * @param {number} leverage - Leverage
+     * @param {number} takeProfitPercent - Take profit % of capital used without partial levels
+     * @returns {Array} Targets ({ price, fraction of the initial position }) sorted from the closest
+     */
+    getTargets(entryPrice, direction, leverage, takeProfitPercent) {
+        const levels = this.takeProfitLevels || [{ percent: takeProfitPercent, fraction: 100 }];
+
+        return levels.map(level => ({
+            price: MathUtils.calculateTakeProfit(entryPrice, direction, leverage, level.percent),
+            fraction: level.fraction / 100
+        }));
+    }
+
+    /**
+     * Moves the stop of an open trade once a candle has closed (break-even, then trailing stop)
+     * The stop only moves in favor of the trade and applies from the next candle
+     * @param {Object} trade - Open trade (activeStop, stopType and bestPrice are updated)
+     * @param {Object} candle - Closed candle
+     * @param {number} leverage - Leverage
+     */
+    updateStop(trade, candle, leverage) {
+        const isLong = trade.direction === 'LONG';
+        const isTighter = price => isLong ? price > trade.activeStop : price < trade.activeStop;
+
+        trade.bestPrice = isLong ? Math.max(trade.bestPrice, candle.high) : Math.min(trade.bestPrice, candle.low);
+
+        if (this.breakEvenPercent !== null && isTighter(trade.entryPrice)) {
+            const trigger = MathUtils.calculateTakeProfit(trade.entryPrice, trade.direction, leverage, this.breakEvenPercent);
+            if (isLong ? trade.bestPrice >= trigger : trade.bestPrice <= trigger) {
+                trade.activeStop = trade.entryPrice;
+                trade.stopType = 'BREAK_EVEN';
+            }
+        }
+
+        if (this.trailing) {
+            const stop = this.getTrailingStop(trade, candle, leverage);
+            if (stop !== null && isTighter(stop)) {
+                trade.activeStop = stop;
+                trade.stopType = 'TRAILING_STOP';
+            }
+        }
+    }
+
+    /**
+     * Calculates the trailing stop behind the best price reached by a trade
+     * @param {Object} trade - Open trade
+     * @param {Object} candle - Closed candle
+     * @param {number} leverage - Leverage
+     * @returns {number|null} Stop price (null while the ATR is not available)
+     */
+    getTrailingStop(trade, candle, leverage) {
+        if (this.trailing.type === 'percent') {
+            return MathUtils.calculateStopLoss(trade.bestPrice, trade.direction, leverage, this.trailing.value);
+        }
+
+        const atr = this.atrByTime ? this.atrByTime.get(candle.openTime) : null;
+        if (!atr) {
+            return null;
+        }
+        const distance = atr * this.trailing.value;
+        return trade.direction === 'LONG' ? trade.bestPrice - distance : trade.bestPrice + distance;
+    }
+
+    /**
+     * Checks if any management rule is enabled
+     * @returns {boolean} True with break-even, trailing stop or partial take profits
+     */
+    isEnabled() {
+        return this.breakEvenPercent !== null || this.trailing !== null || this.takeProfitLevels !== null;
+    }
+
+    /**
+     * Describes the configured rules
+     * @returns {string} Rules (e.g: "break-even at +10% | trailing percent:5 | TP 10%:50%, 20%:50%")
+     */
+    describe() {
+        const rules = [];
+        if (this.breakEvenPercent !== null) {
+            rules.push(`break-even at +${this.breakEvenPercent}%`);
+        }
+        if (this.trailing) {
+            rules.push(`trailing ${this.trailing.type}:${this.trailing.value}`);
+        }
+        if (this.takeProfitLevels) {
+            rules.push(`TP ${this.takeProfitLevels.map(level => `${level.percent}%:${level.fraction}%`).join(', ')}`);
+        }
+        return rules.length > 0 ? rules.join(' | ') : 'fixed SL/TP';
+    }
+
+    /**
+     * Lists the available trailing stop types
+     * @returns {Object} Type name -> description
+     */
+    static getTrailingTypes() {
+        return { ...TRAILING_TYPES };
+    }
+}
+
+export default TradeManager;
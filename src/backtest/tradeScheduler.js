@@ -0,0 +1,97 @@
+const REENTRY_MODES = {
+    off: 'No trades after the daily limit is reached',
+    opposite: 'One more trade on the opposite level after a stop loss, even past the daily limit'
+};
+
+class TradeScheduler {
+    /**
+     * @param {Object} options - Scheduling options
+     * @param {number} options.maxTradesPerDay - Trades allowed per day (default: 1)
+     * @param {string} options.reentry - Re-entry after a stop loss (off, opposite)
+     * @param {number} options.cooldownCandles - Candles to wait after the previous trade (default: 0)
+     * @param {boolean} options.hedging - Allows a new trade while the previous one is still open
+     * @param {boolean} options.fillsInsideSignalCandle - Entry orders filled inside the signal candle (stop entries)
+     */
+    constructor(options = {}) {
+        this.maxTradesPerDay = options.maxTradesPerDay || 1;
+        this.reentry = options.reentry || 'off';
+        this.cooldownCandles = options.cooldownCandles || 0;
+        this.hedging = Boolean(options.hedging);
+        this.fillsInsideSignalCandle = Boolean(options.fillsInsideSignalCandle);
+        this.lastTrade = null; // { signalIndex, exitIndex }
+        this.tradesByDay = new Map(); // Signal date -> trades opened that day
+
+        if (!Number.isInteger(this.maxTradesPerDay) || this.maxTradesPerDay < 1) {
+            throw new Error('Max trades per day must be a whole number (1 or more)');
+        }
+        if (!REENTRY_MODES[this.reentry]) {
+            throw new Error(`Invalid re-entry "${this.reentry}". Available: ${Object.keys(REENTRY_MODES).join(', ')}`);
+        }
+        if (!Number.isInteger(this.cooldownCandles) || this.cooldownCandles < 0) {
+            throw new Error('Cooldown must be a whole number of candles (0 or more)');
+        }
+    }
+
+    /**
+     * Checks if a signal can open a trade
+     * Without hedging the previous trade must have closed: in an earlier candle, or in the signal candle
+     * when the entry is only filled at its close or later. The cooldown counts from the previous exit
+     * (from the previous signal with hedging).
+     * @param {Object} signal - Trading signal
+     * @param {number} signalIndex - Index of the signal candle
+     * @returns {string|null} Reason the signal is skipped, null if it can be traded
+     */
+    getBlockReason(signal, signalIndex) {
+        const last = this.lastTrade;
+
+        if (last && !this.hedging) {
+            const stillOpen = signalIndex < last.exitIndex || (signalIndex === last.exitIndex && this.fillsInsideSignalCandle);
+            if (stillOpen) {
+                return 'Previous trade still open';
+            }
+        }
+
+        if (last && this.cooldownCandles > 0) {
+            const from = this.hedging ? last.signalIndex : last.exitIndex;
+            if (signalIndex - from <= this.cooldownCandles) {
+                return `Cooldown of ${this.cooldownCandles} candle${this.cooldownCandles === 1 ? '' : 's'} after the previous trade`;
+            }
+        }
+
+        const dayTrades = this.tradesByDay.get(signal.date) || [];
+        if (dayTrades.length >= this.maxTradesPerDay) {
+            const previous = dayTrades[dayTrades.length - 1];
+            const isReentry = this.reentry === 'opposite'
+                && dayTrades.length === this.maxTradesPerDay
+                && previous.exitReason === 'SL'
+                && signal.type !== previous.signal.type;
+            if (!isReentry) {
+                return `Max ${this.maxTradesPerDay} trade${this.maxTradesPerDay === 1 ? '' : 's'} per day reached`;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Registers a trade opened from a signal
+     * @param {Object} trade - Trade
+     * @param {number} signalIndex - Index of the signal candle
+     * @param {number} exitIndex - Index of the exit candle
+     */
+    recordTrade(trade, signalIndex, exitIndex) {
+        const date = trade.signal.date;
+        this.tradesByDay.set(date, [...(this.tradesByDay.get(date) || []), trade]);
+        this.lastTrade = { signalIndex, exitIndex };
+    }
+
+    /**
+     * Lists the available re-entry modes
+     * @returns {Object} Mode name -> description
+     */
+    static getReentryModes() {
+        return { ...REENTRY_MODES };
+    }
+}
+
+export default TradeScheduler;
@@ -1,16 +1,48 @@
 import DateUtils from '../utils/dateUtils.js';
 import MathUtils from '../utils/mathUtils.js';
+import CostModel from './costModel.js';
+import EntryModel from './entryModel.js';
+import EquityCurve from './equityCurve.js';
+import PerformanceMetrics from './performanceMetrics.js';
+import PositionSizer from './positionSizer.js';
+import RiskGuard from './riskGuard.js';
+import TradeManager from './tradeManager.js';
 
 class TradeSimulator {
-    constructor(initialCapital = 100, leverage = 5, maxHours = 4, stopLossPercent = 10, takeProfitPercent = 20) {
+    /**
+     * @param {number} initialCapital - Initial capital in USD
+     * @param {number} leverage - Leverage
+     * @param {number} maxHours - Maximum hours per trade
+     * @param {number} stopLossPercent - Stop Loss % of capital
+     * @param {number} takeProfitPercent - Take Profit % of capital
+     * @param {Object} options - Additional options
+     * @param {Object} options.costs - Fees, slippage and funding settings (see CostModel)
+     * @param {number} options.maintenanceMarginPercent - Maintenance margin rate used for liquidations (default: 0.5%)
+     * @param {Object} options.sizing - Position sizing settings (see PositionSizer)
+     * @param {Object} options.entry - Entry order settings (see EntryModel)
+     * @param {Object} options.management - Break-even, trailing stop and partial take profit settings (see TradeManager)
+     * @param {Object} options.risk - Daily/weekly loss limits, loss streak pause and equity stop (see RiskGuard)
+     * @param {IntrabarResolver} options.intrabar - Lower-timeframe resolver for candles touching SL and TP (precise mode)
+     */
+    constructor(initialCapital = 100, leverage = 5, maxHours = 4, stopLossPercent = 10, takeProfitPercent = 20, options = {}) {
         this.initialCapital = initialCapital;
         this.leverage = leverage;
         this.maxHours = maxHours;
         this.stopLossPercent = stopLossPercent;
         this.takeProfitPercent = takeProfitPercent;
         this.currentBalance = initialCapital;
+        this.maintenanceMarginPercent = options.maintenanceMarginPercent !== undefined ? options.maintenanceMarginPercent : 0.5;
+        this.costModel = new CostModel(options.costs);
+        this.positionSizer = new PositionSizer(options.sizing);
+        this.entryModel = new EntryModel(options.entry);
+        this.tradeManager = new TradeManager(options.management);
+        this.riskGuard = new RiskGuard(options.risk, initialCapital);
+        this.intrabar = options.intrabar || null;
         this.trades = [];
+        this.missedSignals = [];
+        this.blockedSignals = [];
         this.dailyResults = {};
+        this.equityCurve = { perTrade: [], perCandle: [] };
     }
 
     /**
@@ -20,145 +52,287 @@ class TradeSimulator {
      * @returns {Object} Simulated trade result
      */
     simulateTrade(signal, remainingCandles) {
-        const trade = {
-            id: `trade_${this.trades.length + 1}`,
-            signal: signal,
-            entryPrice: signal.entryPrice,
-            entryTime: signal.candle.openTime,
-            direction: signal.direction,
-            positionSize: this.currentBalance * this.leverage, // $500 with $100 and 5x
-            leverage: this.leverage,
-            stopLoss: this.calculateStopLoss(signal.entryPrice, signal.direction),
-            takeProfit: this.calculateTakeProfit(signal.entryPrice, signal.direction),
-            exitPrice: null,
-            exitTime: null,
-            exitReason: null,
-            resultUSD: 0,
-            resultPercent: 0,
-            durationHours: 0
-        };
+        console.log(`🔄 Simulating trade trade_${this.trades.length + 1}: ${signal.direction} at $${signal.entryPrice}`);
 
-        console.log(`🔄 Simulating trade ${trade.id}: ${trade.direction} at $${trade.entryPrice}`);
-        console.log(`   SL: $${trade.stopLoss} | TP: $${trade.takeProfit}`);
-
-        // Simulate until finding exit
-        for (let i = 0; i < remainingCandles.length; i++) {
-            const candle = remainingCandles[i];
-            const exitCondition = this.checkExitConditions(candle, trade);
+        const trade = this.simulateTradeSilent(signal, remainingCandles);
 
-            if (exitCondition) {
-                trade.exitPrice = exitCondition.price;
-                trade.exitTime = candle.openTime;
-                trade.exitReason = exitCondition.reason;
-                trade.durationHours = DateUtils.getHoursDifference(trade.entryTime, trade.exitTime);
-                
-                // Calculate result
-                const result = this.calculateTradeResult(trade);
-                trade.resultUSD = result.usd;
-                trade.resultPercent = result.percent;
-
-                console.log(`   ✅ Trade closed: ${trade.exitReason} at $${trade.exitPrice} (${trade.durationHours}h)`);
-                console.log(`   💰 Result: $${trade.resultUSD} (${trade.resultPercent}%)`);
-
-                break;
-            }
+        if (trade.missed) {
+            console.log(`   ⌛ Signal missed: ${trade.missReason}`);
+            return trade;
         }
 
-        // If not closed, close at end of day
-        if (!trade.exitPrice) {
-            const lastCandle = remainingCandles[remainingCandles.length - 1];
-            trade.exitPrice = lastCandle.close;
-            trade.exitTime = lastCandle.openTime;
-            trade.exitReason = 'END_OF_DAY';
-            trade.durationHours = DateUtils.getHoursDifference(trade.entryTime, trade.exitTime);
-            
-            const result = this.calculateTradeResult(trade);
-            trade.resultUSD = result.usd;
-            trade.resultPercent = result.percent;
-
-            console.log(`   ⏰ Trade closed: ${trade.exitReason} at $${trade.exitPrice} (${trade.durationHours}h)`);
-            console.log(`   💰 Result: $${trade.resultUSD} (${trade.resultPercent}%)`);
+        if (trade.skipped) {
+            console.log(`   ⏭️  Trade skipped: ${trade.skipReason}`);
+            return trade;
         }
 
-        // Update balance
-        this.updateBalance(trade.resultUSD);
-        
-        // Register trade
-        this.trades.push(trade);
-        
-        // Register daily result
-        this.recordDailyResult(signal.date, trade);
+        console.log(`   SL: $${trade.stopLoss} | TP: $${trade.takeProfit}`);
+        const closeIcon = trade.exitReason === 'END_OF_DAY' ? '⏰' : '✅';
+        console.log(`   ${closeIcon} Trade closed: ${trade.exitReason} at $${trade.exitPrice} (${trade.durationHours}h)`);
+        console.log(`   💰 Result: $${trade.resultUSD} (${trade.resultPercent}%)`);
 
         return trade;
     }
 
+    /**
+     * Prepares the simulator for a candle set (precomputes the data needed by the sizing model)
+     * @param {Array} candles - Array of candles of the backtest
+     */
+    prepare(candles) {
+        this.positionSizer.prepare(candles);
+        this.tradeManager.prepare(candles);
+    }
+
+    /**
+     * Resets the balance and the simulated trades (to simulate the same candles again)
+     */
+    reset() {
+        this.currentBalance = this.initialCapital;
+        this.trades = [];
+        this.missedSignals = [];
+        this.blockedSignals = [];
+        this.dailyResults = {};
+        this.equityCurve = { perTrade: [], perCandle: [] };
+        this.riskGuard.reset();
+    }
+
     /**
      * Simulates a complete trade without internal logs (silent version)
+     * When a risk guard or the sizing model gives no position the trade is returned with skipped = true,
+     * and when the entry order is not filled with missed = true; neither changes the balance
      * @param {Object} signal - Trading signal
      * @param {Array} remainingCandles - Remaining candles to simulate
      * @returns {Object} Simulated trade result
      */
     simulateTradeSilent(signal, remainingCandles) {
+        const block = this.getRiskBlock(signal);
+        if (block) {
+            this.recordBlockedSignal(signal, block);
+            return { signal, direction: signal.direction, skipped: true, skipReason: block.reason, guard: block.guard };
+        }
+
+        const trade = this.resolveTrade(signal, remainingCandles, this.currentBalance);
+
+        if (trade.missed) {
+            this.recordMissedSignal(signal, trade.missReason);
+        } else if (!trade.skipped) {
+            this.settleTrade(trade);
+        }
+
+        return trade;
+    }
+
+    /**
+     * Opens a trade sized on a balance and follows it until its exit, without touching the balance
+     * (a portfolio settles trades later, once every position that closed before is accounted for)
+     * @param {Object} signal - Trading signal
+     * @param {Array} remainingCandles - Remaining candles to simulate
+     * @param {number} balance - Balance used to size the position
+     * @returns {Object} Closed trade (skipped = true when the sizing model gives no position,
+     *   missed = true when the entry order is not filled)
+     */
+    resolveTrade(signal, remainingCandles, balance) {
+        const fill = this.entryModel.getFill(signal, remainingCandles);
+        if (fill.missed) {
+            return { signal, direction: signal.direction, missed: true, missReason: fill.reason };
+        }
+
+        const entrySide = signal.direction === 'LONG' ? 'BUY' : 'SELL';
+        const stopLoss = this.calculateStopLoss(fill.price, signal.direction);
+        const sizing = this.positionSizer.getPositionSize({
+            balance,
+            leverage: this.leverage,
+            entryPrice: fill.price,
+            stopLoss,
+            candle: signal.candle
+        });
+
+        const targets = this.tradeManager.getTargets(fill.price, signal.direction, this.leverage, this.takeProfitPercent);
         const trade = {
             id: `trade_${this.trades.length + 1}`,
             signal: signal,
-            entryPrice: signal.entryPrice,
-            entryTime: signal.candle.openTime,
+            entryType: this.entryModel.type,
+            entryPrice: fill.price,
+            entryFillPrice: fill.market ? this.costModel.applySlippage(fill.price, entrySide, fill.candle) : fill.price,
+            entryTime: fill.time,
+            openedAt: fill.openedAt,
+            marketEntry: fill.market,
             direction: signal.direction,
-            positionSize: this.currentBalance * this.leverage,
+            sizingModel: this.positionSizer.describe(),
+            positionSize: sizing.positionSize, // $500 with $100 and 5x (full balance)
+            margin: MathUtils.round(sizing.positionSize / this.leverage, 2),
             leverage: this.leverage,
-            stopLoss: this.calculateStopLoss(signal.entryPrice, signal.direction),
-            takeProfit: this.calculateTakeProfit(signal.entryPrice, signal.direction),
+            stopLoss,
+            takeProfit: targets[targets.length - 1].price,
+            targets,
+            nextTarget: 0,
+            activeStop: stopLoss, // Moved by break-even and trailing stops
+            stopType: 'SL',
+            bestPrice: fill.price,
+            openFraction: 1,
+            fills: [],
+            liquidationPrice: this.calculateLiquidationPrice(fill.price, signal.direction),
+            balanceBefore: balance,
             exitPrice: null,
+            exitFillPrice: null,
             exitTime: null,
             exitReason: null,
+            ambiguousExit: null,
+            grossPnL: 0,
+            fees: 0,
+            slippage: 0,
+            funding: 0,
             resultUSD: 0,
             resultPercent: 0,
             durationHours: 0
         };
 
-        // Simular hasta encontrar salida (sin logs)
-        for (let i = 0; i < remainingCandles.length; i++) {
-            const candle = remainingCandles[i];
-            const exitCondition = this.checkExitConditions(candle, trade);
+        // Simulate until finding exit (from the fill candle when the order is filled after the signal candle,
+        // from the signal candle itself when a stop order is filled inside it)
+        for (let i = fill.inside ? -1 : Math.max(0, fill.index); i < remainingCandles.length; i++) {
+            const candle = i === -1 ? signal.candle : remainingCandles[i];
+            // A limit fill candle and a signal candle filling a stop only check the stop: the take profit
+            // may have been touched before the fill (the rest of the candle range is assumed to come after it)
+            let exitCondition = i === fill.index && (!fill.market || fill.inside) ?
+                this.getAdverseExit(candle, trade) :
+                this.checkExitConditions(candle, trade);
+
+            // Partial take profits keep the rest of the position open (several levels may fill in the same candle)
+            while (exitCondition && exitCondition.reason === 'TP' && trade.targets[trade.nextTarget].fraction < trade.openFraction - 1e-9) {
+                this.addFill(trade, candle, exitCondition.price, exitCondition.reason, trade.targets[trade.nextTarget].fraction);
+                trade.nextTarget++;
+
+                // A stop touched by the same candle is assumed to be hit after the take profit
+                exitCondition = this.getAdverseExit(candle, trade) || this.getTargetExit(candle, trade) || this.getTimeExit(candle, trade);
+            }
 
             if (exitCondition) {
-                trade.exitPrice = exitCondition.price;
-                trade.exitTime = candle.openTime;
-                trade.exitReason = exitCondition.reason;
-                trade.durationHours = DateUtils.getHoursDifference(trade.entryTime, trade.exitTime);
-                
-                // Calculate result
-                const result = this.calculateTradeResult(trade);
-                trade.resultUSD = result.usd;
-                trade.resultPercent = result.percent;
+                this.closeTrade(trade, candle, exitCondition.price, exitCondition.reason);
                 break;
             }
+
+            this.tradeManager.updateStop(trade, candle, this.leverage);
         }
 
         // If not closed, close at end of day
         if (!trade.exitPrice) {
             const lastCandle = remainingCandles[remainingCandles.length - 1];
-            trade.exitPrice = lastCandle.close;
-            trade.exitTime = lastCandle.openTime;
-            trade.exitReason = 'END_OF_DAY';
-            trade.durationHours = DateUtils.getHoursDifference(trade.entryTime, trade.exitTime);
-            
-            const result = this.calculateTradeResult(trade);
-            trade.resultUSD = result.usd;
-            trade.resultPercent = result.percent;
+            this.closeTrade(trade, lastCandle, lastCandle.close, 'END_OF_DAY');
+        }
+
+        // Feed the running statistics of the sizing model (Kelly)
+        this.positionSizer.recordTrade(trade);
+
+        if (sizing.positionSize <= 0) {
+            trade.skipped = true;
+            trade.skipReason = sizing.reason || 'Position size is 0';
         }
 
-        // Update balance
+        return trade;
+    }
+
+    /**
+     * Applies the result of a closed trade to the balance and registers it
+     * @param {Object} trade - Closed trade
+     */
+    settleTrade(trade) {
+        trade.balanceBefore = this.currentBalance;
         this.updateBalance(trade.resultUSD);
-        
-        // Register trade
+        trade.balanceAfter = this.currentBalance;
+
         this.trades.push(trade);
-        
-        // Register daily result
-        this.recordDailyResult(signal.date, trade);
+        this.recordDailyResult(trade.signal.date, trade);
+        this.riskGuard.recordTrade(trade);
+    }
 
-        return trade;
+    /**
+     * Checks the risk guards against the trades settled so far
+     * @param {Object} signal - Trading signal
+     * @returns {Object|null} Guard blocking the signal ({ guard, reason }) or null
+     */
+    getRiskBlock(signal) {
+        return this.riskGuard.isEnabled() ? this.riskGuard.check(signal) : null;
+    }
+
+    /**
+     * Closes part of a position (a fill), applying exit slippage and calculating the result of that part
+     * @param {Object} trade - Open trade
+     * @param {Object} candle - Candle where the part is closed
+     * @param {number} price - Exit price
+     * @param {string} reason - Exit reason
+     * @param {number} fraction - Fraction of the initial position closed
+     */
+    addFill(trade, candle, price, reason, fraction) {
+        const exitSide = trade.direction === 'LONG' ? 'SELL' : 'BUY';
+        const size = trade.positionSize * fraction;
+        const fillPrice = this.costModel.isMarketExit(reason) ?
+            this.costModel.applySlippage(price, exitSide, candle) : price;
+
+        // Positions are opened when the entry order is filled; SL/TP exits happen inside the candle
+        const closesAtCandleClose = reason === 'TIME' || reason === 'END_OF_DAY';
+        const positionClosedAt = closesAtCandleClose ? candle.closeTime : candle.openTime;
+        const part = { ...trade, positionSize: size, exitPrice: price, exitFillPrice: fillPrice, exitReason: reason };
+        const costs = this.costModel.calculateCosts(part, trade.openedAt, positionClosedAt);
+
+        // A liquidated position loses its whole margin (the maintenance margin goes to the exchange)
+        const grossPnL = reason === 'LIQUIDATION' ?
+            -size / trade.leverage :
+            (MathUtils.calculateTradeResultPercent(trade.entryPrice, price, trade.direction) / 100) * size;
+
+        trade.fills.push({
+            time: candle.openTime,
+            reason,
+            ...(reason === 'TP' ? { target: trade.nextTarget + 1 } : {}),
+            price,
+            fillPrice,
+            fraction,
+            size,
+            grossPnL,
+            fees: costs.fees,
+            slippage: costs.slippage,
+            funding: costs.funding,
+            fundingPayments: costs.fundingPayments,
+            resultUSD: grossPnL - costs.fees - costs.slippage - costs.funding
+        });
+        trade.openFraction -= fraction;
+    }
+
+    /**
+     * Closes the rest of a trade and calculates its result from all its fills
+     * @param {Object} trade - Open trade
+     * @param {Object} candle - Candle where the trade is closed
+     * @param {number} price - Exit price
+     * @param {string} reason - Exit reason
+     */
+    closeTrade(trade, candle, price, reason) {
+        this.addFill(trade, candle, price, reason, trade.openFraction);
+
+        const sum = getValue => trade.fills.reduce((total, fill) => total + getValue(fill), 0);
+        const closedFraction = sum(fill => fill.fraction);
+
+        // Exit prices are averaged over the fills
+        trade.exitPrice = sum(fill => fill.price * fill.fraction) / closedFraction;
+        trade.exitFillPrice = sum(fill => fill.fillPrice * fill.fraction) / closedFraction;
+        trade.exitTime = candle.openTime;
+        trade.exitReason = reason;
+        trade.durationHours = MathUtils.round(DateUtils.getHoursDifference(trade.entryTime, trade.exitTime), 2);
+
+        const costs = {
+            fees: MathUtils.round(sum(fill => fill.fees), 4),
+            slippage: MathUtils.round(sum(fill => fill.slippage), 4),
+            funding: MathUtils.round(sum(fill => fill.funding), 4),
+            fundingPayments: Math.max(...trade.fills.map(fill => fill.fundingPayments))
+        };
+
+        // Calculate result
+        const result = this.calculateTradeResult(trade, costs);
+        trade.grossPnL = result.gross;
+        trade.fees = costs.fees;
+        trade.slippage = costs.slippage;
+        trade.funding = costs.funding;
+        trade.fundingPayments = costs.fundingPayments;
+        trade.resultUSD = result.usd;
+        trade.resultPercent = result.percent;
     }
 
     /**
@@ -181,75 +355,161 @@ class TradeSimulator {
         return MathUtils.calculateTakeProfit(entryPrice, direction, this.leverage, this.takeProfitPercent);
     }
 
+    /**
+     * Calculates liquidation price
+     * @param {number} entryPrice - Entry price
+     * @param {string} direction - Trade direction
+     * @returns {number} Liquidation price
+     */
+    calculateLiquidationPrice(entryPrice, direction) {
+        return MathUtils.calculateLiquidationPrice(entryPrice, direction, this.leverage, this.maintenanceMarginPercent);
+    }
+
+    /**
+     * Checks if the position is liquidated before its stop loss can be hit
+     * @returns {boolean} True if the liquidation price is closer to entry than the stop loss
+     */
+    isStopBeyondLiquidation() {
+        const liquidationPrice = this.calculateLiquidationPrice(100, 'LONG');
+        const stopLoss = this.calculateStopLoss(100, 'LONG');
+        return liquidationPrice >= stopLoss;
+    }
+
     /**
      * Checks exit conditions for a trade
+     * Default mode checks liquidation, time closure, stop loss and take profit in this order, so a candle
+     * touching both levels is assumed to hit the stop first. In precise mode (lower-timeframe candles
+     * available) those candles are replayed, and the last candle of the time window still checks SL/TP
+     * before closing at its close.
      * @param {Object} candle - Current candle
      * @param {Object} trade - Trade to check
      * @returns {Object|null} Exit condition or null
      */
     checkExitConditions(candle, trade) {
+        const adverse = this.getAdverseExit(candle, trade);
+        const target = this.getTargetExit(candle, trade);
+        const timeExit = this.getTimeExit(candle, trade);
+
+        if (this.intrabar) {
+            if (adverse && target) {
+                return this.resolveAmbiguousExit(candle, trade, adverse, target);
+            }
+            return adverse || target || timeExit;
+        }
+
+        if (adverse && adverse.reason === 'LIQUIDATION') {
+            return this.flagAssumedStop(trade, adverse, target);
+        }
+
         // Check time closure (configurable)
-        if (DateUtils.shouldCloseByTime(trade.entryTime, candle.openTime, this.maxHours)) {
-            return {
-                price: candle.close,
-                reason: 'TIME'
-            };
+        if (timeExit) {
+            return timeExit;
         }
 
-        // Check Stop Loss
-        if (trade.direction === 'LONG' && candle.low <= trade.stopLoss) {
-            return {
-                price: trade.stopLoss,
-                reason: 'SL'
-            };
+        return adverse ? this.flagAssumedStop(trade, adverse, target) : target;
+    }
+
+    /**
+     * Gets the time exit at the close of a candle once the time window is over
+     * @param {Object} candle - Current candle
+     * @param {Object} trade - Trade to check
+     * @returns {Object|null} Exit condition or null
+     */
+    getTimeExit(candle, trade) {
+        return DateUtils.shouldCloseByTime(trade.entryTime, candle.openTime, this.maxHours) ?
+            { price: candle.close, reason: 'TIME' } : null;
+    }
+
+    /**
+     * Gets the adverse exit touched by a candle: liquidation (only reachable when it sits between
+     * entry and stop) or stop (initial stop loss, break-even or trailing stop)
+     * @param {Object} candle - Current candle
+     * @param {Object} trade - Trade to check
+     * @returns {Object|null} Exit condition or null
+     */
+    getAdverseExit(candle, trade) {
+        const stop = trade.activeStop;
+        // A moved stop may sit beyond the open of the next candle: it is then filled at the open
+        const moved = trade.stopType !== 'SL';
+
+        if (trade.direction === 'LONG') {
+            if (trade.liquidationPrice >= stop && candle.low <= trade.liquidationPrice) {
+                return { price: trade.liquidationPrice, reason: 'LIQUIDATION' };
+            }
+            return candle.low <= stop ? { price: moved ? Math.min(stop, candle.open) : stop, reason: trade.stopType } : null;
         }
 
-        if (trade.direction === 'SHORT' && candle.high >= trade.stopLoss) {
-            return {
-                price: trade.stopLoss,
-                reason: 'SL'
-            };
+        if (trade.liquidationPrice <= stop && candle.high >= trade.liquidationPrice) {
+            return { price: trade.liquidationPrice, reason: 'LIQUIDATION' };
         }
+        return candle.high >= stop ? { price: moved ? Math.max(stop, candle.open) : stop, reason: trade.stopType } : null;
+    }
 
-        // Check Take Profit
-        if (trade.direction === 'LONG' && candle.high >= trade.takeProfit) {
-            return {
-                price: trade.takeProfit,
-                reason: 'TP'
-            };
+    /**
+     * Gets the next take profit exit if the candle touched it
+     * @param {Object} candle - Current candle
+     * @param {Object} trade - Trade to check
+     * @returns {Object|null} Exit condition or null
+     */
+    getTargetExit(candle, trade) {
+        const target = trade.targets[trade.nextTarget];
+        if (!target) {
+            return null;
         }
 
-        if (trade.direction === 'SHORT' && candle.low <= trade.takeProfit) {
-            return {
-                price: trade.takeProfit,
-                reason: 'TP'
-            };
+        const touched = trade.direction === 'LONG' ? candle.high >= target.price : candle.low <= target.price;
+        return touched ? { price: target.price, reason: 'TP' } : null;
+    }
+
+    /**
+     * Marks a stop exit as ambiguous when the candle also touched the take profit
+     * @param {Object} trade - Trade to check
+     * @param {Object} adverse - Stop loss or liquidation exit
+     * @param {Object|null} target - Take profit exit touched by the same candle
+     * @returns {Object} Stop loss or liquidation exit
+     */
+    flagAssumedStop(trade, adverse, target) {
+        if (target) {
+            trade.ambiguousExit = 'ASSUMED_STOP';
         }
+        return adverse;
+    }
+
+    /**
+     * Decides which level a candle touching both SL and TP hit first using lower-timeframe candles
+     * (the stop is assumed when the lower timeframe is still ambiguous or has no data)
+     * @param {Object} candle - Ambiguous candle
+     * @param {Object} trade - Trade to check
+     * @param {Object} adverse - Stop loss or liquidation exit
+     * @param {Object} target - Take profit exit
+     * @returns {Object} Exit condition
+     */
+    resolveAmbiguousExit(candle, trade, adverse, target) {
+        const hit = this.intrabar.firstHit(candle, trade.direction, adverse.price, target.price);
+        const resolutions = { ADVERSE: 'STOP_FIRST', TARGET: 'TARGET_FIRST', BOTH: 'ASSUMED_STOP', NO_DATA: 'NO_DATA' };
 
-        return null; // No exit condition
+        trade.ambiguousExit = resolutions[hit];
+        return hit === 'TARGET' ? target : adverse;
     }
 
     /**
-     * Calculates the result of a trade
+     * Calculates the result of a trade from its fills
      * @param {Object} trade - Completed trade
-     * @returns {Object} Result in USD and percentage
-     */
-    calculateTradeResult(trade) {
-        const pricePercent = MathUtils.calculateTradeResultPercent(
-            trade.entryPrice, 
-            trade.exitPrice, 
-            trade.direction
-        );
-        
-        // The USD result is the percentage applied to the CURRENT capital with leverage
+     * @param {Object} costs - Trade costs (fees, slippage, funding) in USD
+     * @returns {Object} Gross and net result in USD and net percentage
+     */
+    calculateTradeResult(trade, costs = { fees: 0, slippage: 0, funding: 0 }) {
+        // The USD result of each fill is the price change applied to its size (capital with leverage)
         // With 5x leverage: 1% price gain = 5% capital gain
-        const resultUSD = (pricePercent / 100) * this.currentBalance * this.leverage;
+        const grossUSD = trade.fills.reduce((sum, fill) => sum + fill.grossPnL, 0);
+        const netUSD = grossUSD - costs.fees - costs.slippage - costs.funding;
         
         // The displayed percentage should reflect the real impact on capital
-        const capitalPercent = pricePercent * this.leverage;
+        const capitalPercent = (netUSD / trade.balanceBefore) * 100;
         
         return {
-            usd: MathUtils.round(resultUSD, 2),
+            gross: MathUtils.round(grossUSD, 2),
+            usd: MathUtils.round(netUSD, 2),
             percent: MathUtils.round(capitalPercent, 2)
         };
     }
@@ -264,34 +524,105 @@ class TradeSimulator {
     }
 
     /**
-     * Records the daily result
+     * Records the daily result (a day keeps every trade of its signals)
      * @param {string} date - Trade date
      * @param {Object} trade - Completed trade
      */
     recordDailyResult(date, trade) {
+        const day = this.dailyResults[date];
+
+        if (day && day.tradeExecuted) {
+            day.trades.push(trade);
+            day.balanceAfter = this.currentBalance;
+            day.dailyReturn = MathUtils.round(day.dailyReturn + trade.resultUSD, 2);
+            return;
+        }
+
         this.dailyResults[date] = {
             tradeExecuted: true,
-            trade: trade,
+            trades: [trade],
             balanceBefore: this.currentBalance - trade.resultUSD,
             balanceAfter: this.currentBalance,
             dailyReturn: trade.resultUSD
         };
     }
 
+    /**
+     * Rebuilds the balances of the days from their returns, in date order
+     * (with hedging, trades of different days close interleaved)
+     */
+    chainDailyBalances() {
+        let balance = this.initialCapital;
+
+        for (const date of Object.keys(this.dailyResults).sort()) {
+            const day = this.dailyResults[date];
+            day.balanceBefore = balance;
+            balance = MathUtils.round(balance + day.dailyReturn, 2);
+            day.balanceAfter = balance;
+        }
+    }
+
+    /**
+     * Records a signal whose entry order was not filled
+     * @param {Object} signal - Trading signal
+     * @param {string} reason - Why the order was not filled
+     * @param {string} symbol - Symbol of the signal (portfolios)
+     */
+    recordMissedSignal(signal, reason, symbol = null) {
+        this.missedSignals.push({ signal, reason, ...(symbol ? { symbol } : {}) });
+
+        if (!this.dailyResults[signal.date]) {
+            this.recordNoTradeDay(signal.date, reason);
+        }
+    }
+
+    /**
+     * Records a signal blocked by a risk guard
+     * @param {Object} signal - Trading signal
+     * @param {Object} block - Guard that blocked it ({ guard, reason })
+     * @param {string} symbol - Symbol of the signal (portfolios)
+     */
+    recordBlockedSignal(signal, block, symbol = null) {
+        this.blockedSignals.push({ signal, guard: block.guard, reason: block.reason, ...(symbol ? { symbol } : {}) });
+
+        if (!this.dailyResults[signal.date]) {
+            this.recordNoTradeDay(signal.date, block.reason);
+        }
+    }
+
     /**
      * Records a day without trade
      * @param {string} date - Date without trade
+     * @param {string} reason - Why there was no trade
      */
-    recordNoTradeDay(date) {
+    recordNoTradeDay(date, reason = 'No breakout detected') {
         this.dailyResults[date] = {
             tradeExecuted: false,
-            reason: 'No breakout detected',
+            reason,
             balanceBefore: this.currentBalance,
             balanceAfter: this.currentBalance,
             dailyReturn: 0
         };
     }
 
+    /**
+     * Builds the equity curve (per trade and per candle, with open trades marked to market)
+     * @param {Array} candles - Array of candles of the backtest
+     * @returns {Object} Equity curve
+     */
+    buildEquityCurve(candles) {
+        this.equityCurve = EquityCurve.build(candles, this.trades, this.initialCapital);
+        return this.equityCurve;
+    }
+
+    /**
+     * Gets the equity curve
+     * @returns {Object} Equity points per trade and per candle
+     */
+    getEquityCurve() {
+        return this.equityCurve;
+    }
+
     /**
      * Gets statistics of all trades
      * @returns {Object} Performance statistics
@@ -309,11 +640,23 @@ class TradeSimulator {
             winningTrades.reduce((sum, t) => sum + t.resultUSD, 0) / winningTrades.length : 0;
         const avgLoss = losingTrades.length > 0 ? 
             Math.abs(losingTrades.reduce((sum, t) => sum + t.resultUSD, 0) / losingTrades.length) : 0;
+
+        const sum = field => this.trades.reduce((total, t) => total + (t[field] || 0), 0);
+
+        // Drawdown from the candle curve (includes open trades), falling back to closed trades
+        const closedBalances = [{ time: this.trades.length > 0 ? this.trades[0].entryTime : 0, balance: this.initialCapital }]
+            .concat(this.trades.map(t => ({ time: t.exitTime, balance: t.balanceAfter })));
+        const drawdown = this.equityCurve.perCandle.length > 0 ?
+            EquityCurve.calculateDrawdown(this.equityCurve.perCandle, 'equity') :
+            EquityCurve.calculateDrawdown(closedBalances, 'balance');
+
+        const metrics = PerformanceMetrics.calculate(this.trades, this.equityCurve.perCandle, this.initialCapital, drawdown.maxDrawdownPercent);
         
         return {
             totalTrades: this.trades.length,
             winningTrades: winningTrades.length,
             losingTrades: losingTrades.length,
+            liquidations: this.trades.filter(t => t.exitReason === 'LIQUIDATION').length,
             winRate: MathUtils.round(winRate, 2),
             initialCapital: this.initialCapital,
             finalBalance: this.currentBalance,
@@ -321,6 +664,22 @@ class TradeSimulator {
             totalReturnPercent: MathUtils.round(totalReturnPercent, 2),
             avgWin: MathUtils.round(avgWin, 2),
             avgLoss: MathUtils.round(avgLoss, 2),
+            grossReturn: MathUtils.round(sum('grossPnL'), 2),
+            totalFees: MathUtils.round(sum('fees'), 2),
+            totalSlippage: MathUtils.round(sum('slippage'), 2),
+            totalFunding: MathUtils.round(sum('funding'), 2),
+            maxDrawdown: drawdown.maxDrawdown,
+            maxDrawdownPercent: drawdown.maxDrawdownPercent,
+            drawdownDurationHours: drawdown.drawdownDurationHours,
+            timeToRecoveryHours: drawdown.timeToRecoveryHours,
+            ambiguousCandles: this.trades.filter(t => t.ambiguousExit).length,
+            ambiguousStopFirst: this.trades.filter(t => t.ambiguousExit === 'STOP_FIRST').length,
+            ambiguousTargetFirst: this.trades.filter(t => t.ambiguousExit === 'TARGET_FIRST').length,
+            ambiguousAssumedStop: this.trades.filter(t => t.ambiguousExit === 'ASSUMED_STOP' || t.ambiguousExit === 'NO_DATA').length,
+            ambiguousWithoutData: this.trades.filter(t => t.ambiguousExit === 'NO_DATA').length,
+            missedSignals: this.missedSignals.length,
+            blockedSignals: this.blockedSignals.length,
+            ...metrics
         };
     }
 
@@ -339,6 +698,22 @@ class TradeSimulator {
     getTrades() {
         return this.trades;
     }
+
+    /**
+     * Gets the signals whose entry order was not filled
+     * @returns {Array} Missed signals ({ signal, reason, symbol })
+     */
+    getMissedSignals() {
+        return this.missedSignals;
+    }
+
+    /**
+     * Gets the signals blocked by the risk guards
+     * @returns {Array} Blocked signals ({ signal, guard, reason, symbol })
+     */
+    getBlockedSignals() {
+        return this.blockedSignals;
+    }
 }
 
 export default TradeSimulator;
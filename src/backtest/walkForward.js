@@ -0,0 +1,216 @@
+import Optimizer from './optimizer.js';
+import EquityCurve from './equityCurve.js';
+import PerformanceMetrics from './performanceMetrics.js';
+import DateUtils from '../utils/dateUtils.js';
+import MathUtils from '../utils/mathUtils.js';
+
+class WalkForwardAnalyzer {
+    /**
+     * @param {Object} config - Base backtesting configuration
+     * @param {string} objective - Objective used to pick the in-sample winner
+     * @param {Object} options - Window options
+     * @param {number} options.inSampleDays - Days of each optimization window (default: 60)
+     * @param {number} options.outOfSampleDays - Days of each evaluation window (default: 30)
+     */
+    constructor(config = {}, objective = 'return', options = {}) {
+        this.config = config;
+        this.optimizer = new Optimizer(config, objective);
+        this.inSampleDays = options.inSampleDays || 60;
+        this.outOfSampleDays = options.outOfSampleDays || 30;
+    }
+
+    /**
+     * Splits the candle history into rolling in-sample/out-of-sample windows
+     * (each window moves forward by the out-of-sample length)
+     * @param {Array} candles - Array of candles
+     * @returns {Array} Windows with their in-sample and out-of-sample days
+     */
+    buildWindows(candles) {
+        const days = Array.from(new Set(candles.map(c => DateUtils.getDateOnly(c.openTime)))).sort();
+        const windows = [];
+
+        for (let start = 0; start + this.inSampleDays < days.length; start += this.outOfSampleDays) {
+            const inSample = days.slice(start, start + this.inSampleDays);
+            const outOfSample = days.slice(start + this.inSampleDays, start + this.inSampleDays + this.outOfSampleDays);
+            windows.push({ index: windows.length + 1, inSample, outOfSample });
+        }
+
+        return windows;
+    }
+
+    /**
+     * Runs the walk-forward analysis
+     * @param {Array} candles - Array of candles
+     * @param {Object} ranges - Parameter ranges to optimize (see Optimizer.buildGrid)
+     * @param {Object} referenceCandles - Higher-timeframe klines by interval needed by the strategy
+     * @returns {Object} Per-window results, stitched out-of-sample equity curve and summary
+     */
+    run(candles, ranges = {}, referenceCandles = {}) {
+        const windows = this.buildWindows(candles);
+        if (windows.length === 0) {
+            throw new Error(`Not enough data for walk-forward: need more than ${this.inSampleDays} days`);
+        }
+
+        const grid = this.optimizer.buildGrid(ranges);
+        // Levels only depend on previous periods, so signals can be detected once for the whole history
+        const signals = this.optimizer.detectSignals(candles, referenceCandles);
+
+        console.log(`\n🚶 Walk-forward: ${windows.length} windows (${this.inSampleDays}d in-sample / ${this.outOfSampleDays}d out-of-sample), ${grid.length} combinations each`);
+
+        const initialCapital = this.config.capital;
+        let balance = initialCapital;
+        const results = [];
+        const oosTrades = [];
+        const oosEquity = [];
+
+        for (const window of windows) {
+            const isCandles = this.filterByDays(candles, window.inSample, c => c.openTime);
+            const oosCandles = this.filterByDays(candles, window.outOfSample, c => c.openTime);
+            const isSignals = this.filterByDays(signals, window.inSample, s => s.candle.openTime);
+            const oosSignals = this.filterByDays(signals, window.outOfSample, s => s.candle.openTime);
+
+            // Optimize on the in-sample window
+            const best = this.optimizer.run(isCandles, isSignals, grid, false)[0];
+
+            // Evaluate the winner on the next out-of-sample window, compounding the stitched balance
+            const oos = this.optimizer.evaluate(oosCandles, oosSignals, { ...best.params, capital: balance }, true);
+            const simulation = oos.simulation;
+            simulation.trades.forEach(trade => oosTrades.push({ ...trade, id: `w${window.index}_${trade.id}` }));
+            oosEquity.push(...simulation.equityCurve.perCandle);
+            balance = oos.stats.finalBalance;
+
+            const result = {
+                window: window.index,
+                inSample: {
+                    startDate: window.inSample[0],
+                    endDate: window.inSample[window.inSample.length - 1],
+                    params: best.params,
+                    score: best.score,
+                    stats: this.pickStats(best.stats)
+                },
+                outOfSample: {
+                    startDate: window.outOfSample[0],
+                    endDate: window.outOfSample[window.outOfSample.length - 1],
+                    score: oos.score,
+                    stats: this.pickStats(oos.stats)
+                },
+                efficiency: this.calculateEfficiency(
+                    best.stats.totalReturnPercent, window.inSample.length,
+                    oos.stats.totalReturnPercent, window.outOfSample.length
+                )
+            };
+            results.push(result);
+
+            console.log(`   🪟 Window ${result.window}: IS ${result.inSample.startDate} → ${result.inSample.endDate} (${result.inSample.stats.totalReturnPercent}%) | OOS ${result.outOfSample.startDate} → ${result.outOfSample.endDate} (${result.outOfSample.stats.totalReturnPercent}%)`);
+        }
+
+        const drawdown = EquityCurve.calculateDrawdown(oosEquity, 'equity');
+        const metrics = PerformanceMetrics.calculate(oosTrades, oosEquity, initialCapital, drawdown.maxDrawdownPercent);
+
+        return {
+            windows: results,
+            equityCurve: { perCandle: oosEquity },
+            trades: oosTrades,
+            summary: this.buildSummary(results, initialCapital, balance, oosTrades, drawdown, metrics)
+        };
+    }
+
+    /**
+     * Builds the summary comparing in-sample and out-of-sample performance
+     * @param {Array} results - Per-window results
+     * @param {number} initialCapital - Initial capital
+     * @param {number} finalBalance - Final stitched out-of-sample balance
+     * @param {Array} trades - Out-of-sample trades
+     * @param {Object} drawdown - Drawdown of the stitched curve
+     * @param {Object} metrics - Performance metrics of the stitched curve
+     * @returns {Object} Summary
+     */
+    buildSummary(results, initialCapital, finalBalance, trades, drawdown, metrics) {
+        const average = values => values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : 0;
+        const efficiencies = results.map(r => r.efficiency).filter(e => e !== null);
+        const totalReturn = finalBalance - initialCapital;
+
+        return {
+            windows: results.length,
+            avgInSampleReturnPercent: MathUtils.round(average(results.map(r => r.inSample.stats.totalReturnPercent)), 2),
+            avgOutOfSampleReturnPercent: MathUtils.round(average(results.map(r => r.outOfSample.stats.totalReturnPercent)), 2),
+            profitableOutOfSampleWindows: results.filter(r => r.outOfSample.stats.totalReturn > 0).length,
+            walkForwardEfficiency: efficiencies.length > 0 ? MathUtils.round(average(efficiencies), 2) : null,
+            totalTrades: trades.length,
+            initialCapital,
+            finalBalance,
+            totalReturn: MathUtils.round(totalReturn, 2),
+            totalReturnPercent: MathUtils.round((totalReturn / initialCapital) * 100, 2),
+            maxDrawdown: drawdown.maxDrawdown,
+            maxDrawdownPercent: drawdown.maxDrawdownPercent,
+            sharpeRatio: metrics.sharpeRatio,
+            profitFactor: metrics.profitFactor
+        };
+    }
+
+    /**
+     * Calculates the walk-forward efficiency of a window
+     * (out-of-sample return per day relative to in-sample return per day)
+     * @param {number} isReturn - In-sample return %
+     * @param {number} isDays - In-sample days
+     * @param {number} oosReturn - Out-of-sample return %
+     * @param {number} oosDays - Out-of-sample days
+     * @returns {number|null} Efficiency (1 = same performance out of sample)
+     */
+    calculateEfficiency(isReturn, isDays, oosReturn, oosDays) {
+        if (isReturn <= 0 || oosDays === 0) {
+            return null; // Efficiency is undefined when the optimization itself lost money
+        }
+        return MathUtils.round((oosReturn / oosDays) / (isReturn / isDays), 2);
+    }
+
+    /**
+     * Keeps the statistics reported per window
+     * @param {Object} stats - Trading statistics
+     * @returns {Object} Reduced statistics
+     */
+    pickStats(stats) {
+        return {
+            totalTrades: stats.totalTrades,
+            winRate: stats.winRate,
+            totalReturn: stats.totalReturn,
+            totalReturnPercent: stats.totalReturnPercent,
+            maxDrawdownPercent: stats.maxDrawdownPercent,
+            sharpeRatio: stats.sharpeRatio,
+            profitFactor: stats.profitFactor
+        };
+    }
+
+    /**
+     * Filters items whose timestamp falls in a list of days
+     * @param {Array} items - Candles or signals
+     * @param {Array} days - Days in YYYY-MM-DD format
+     * @param {Function} getTime - Gets the timestamp of an item
+     * @returns {Array} Filtered items
+     */
+    filterByDays(items, days, getTime) {
+        const daySet = new Set(days);
+        return items.filter(item => daySet.has(DateUtils.getDateOnly(getTime(item))));
+    }
+
+    /**
+     * Prints the in-sample vs out-of-sample comparison
+     * @param {Object} analysis - Walk-forward results
+     */
+    showReport(analysis) {
+        const { summary } = analysis;
+
+        console.log('\n📊 Walk-forward Report:');
+        console.log('=' .repeat(60));
+        for (const result of analysis.windows) {
+            const params = result.inSample.params;
+            console.log(`   #${result.window} SL ${params.stopLossPercent}% TP ${params.takeProfitPercent}% ${params.maxHours}h ${params.leverage}x → IS ${result.inSample.stats.totalReturnPercent}% | OOS ${result.outOfSample.stats.totalReturnPercent}% | WFE ${result.efficiency === null ? 'n/a' : result.efficiency}`);
+        }
+        console.log(`   Avg in-sample return: ${summary.avgInSampleReturnPercent}% | Avg out-of-sample return: ${summary.avgOutOfSampleReturnPercent}%`);
+        console.log(`   Profitable OOS windows: ${summary.profitableOutOfSampleWindows}/${summary.windows} | Walk-forward efficiency: ${summary.walkForwardEfficiency === null ? 'n/a' : summary.walkForwardEfficiency}`);
+        console.log(`   💵 Stitched OOS capital: $${summary.initialCapital} → $${summary.finalBalance} (${summary.totalReturnPercent}%)`);
+        console.log(`   📉 OOS max drawdown: $${summary.maxDrawdown} (${summary.maxDrawdownPercent}%)`);
+    }
+}
+
+export default WalkForwardAnalyzer;
@@ -4,12 +4,21 @@ import dotenv from 'dotenv';
 dotenv.config();
 
 class BinanceAPI {
-    constructor() {
+    /**
+     * @param {Object} options - Client options
+     * @param {CandleCache} options.cache - Optional on-disk candle cache
+     * @param {boolean} options.offline - Only use cached data, never call the API
+     */
+    constructor(options = {}) {
         this.baseURL = process.env.BINANCE_API_URL || 'https://api.binance.com/api/v3';
         this.client = axios.create({
             baseURL: this.baseURL,
             timeout: 10000
         });
+        this.maxLimit = 1000; // Binance maximum candles per request
+        this.requestDelay = 250; // Pause between paginated requests (ms)
+        this.cache = options.cache || null;
+        this.offline = options.offline || false;
     }
 
     /**
@@ -45,6 +54,125 @@ class BinanceAPI {
         }
     }
 
+    /**
+     * Fetches all candles between two dates, using the local cache when available
+     * @param {string} symbol - Trading pair symbol (e.g: BTCUSDT)
+     * @param {string} interval - Time interval (e.g: 1h)
+     * @param {number} startTime - Start timestamp in milliseconds (inclusive)
+     * @param {number} endTime - End timestamp in milliseconds (inclusive)
+     * @returns {Promise<Array>} Contiguous array of candles sorted by time
+     */
+    async fetchKlinesRange(symbol, interval = '1h', startTime, endTime = Date.now()) {
+        if (startTime >= endTime) {
+            throw new Error('Start date must be before end date');
+        }
+
+        if (!this.cache) {
+            if (this.offline) {
+                throw new Error('Offline mode requires the candle cache to be enabled');
+            }
+            return this.downloadKlinesRange(symbol, interval, startTime, endTime);
+        }
+
+        const entry = await this.cache.load(symbol, interval);
+        const missingRanges = this.cache.getMissingRanges(entry, startTime, endTime);
+
+        if (missingRanges.length === 0) {
+            console.log(`💾 All ${symbol} (${interval}) candles loaded from cache`);
+        } else if (this.offline) {
+            console.warn(`⚠️  Offline mode: ${missingRanges.length} range(s) not available in cache, using cached data only`);
+        } else {
+            for (const [rangeStart, rangeEnd] of missingRanges) {
+                const candles = await this.downloadKlinesRange(symbol, interval, rangeStart, rangeEnd);
+                this.cache.addCandles(entry, candles, rangeStart, rangeEnd);
+            }
+
+            const filepath = await this.cache.save(entry);
+            console.log(`💾 Cache updated: ${filepath}`);
+        }
+
+        const candles = this.cache.getCandles(entry, startTime, endTime);
+
+        if (this.offline && candles.length === 0) {
+            throw new Error(`No cached candles for ${symbol} (${interval}) in the selected period. Run once without --offline to populate the cache.`);
+        }
+
+        return candles;
+    }
+
+    /**
+     * Downloads all candles between two dates, paginating in blocks of 1000 candles
+     * @param {string} symbol - Trading pair symbol (e.g: BTCUSDT)
+     * @param {string} interval - Time interval (e.g: 1h)
+     * @param {number} startTime - Start timestamp in milliseconds (inclusive)
+     * @param {number} endTime - End timestamp in milliseconds (inclusive)
+     * @returns {Promise<Array>} Contiguous array of candles sorted by time
+     */
+    async downloadKlinesRange(symbol, interval, startTime, endTime) {
+        console.log(`📊 Fetching ${symbol} (${interval}) candles from ${new Date(startTime).toISOString()} to ${new Date(endTime).toISOString()}...`);
+
+        const candlesByTime = new Map();
+        let cursor = startTime;
+        let page = 0;
+
+        try {
+            while (cursor <= endTime) {
+                if (page > 0) {
+                    await this.sleep(this.requestDelay);
+                }
+
+                const response = await this.client.get('/klines', {
+                    params: {
+                        symbol: symbol.toUpperCase(),
+                        interval: interval,
+                        startTime: cursor,
+                        endTime: endTime,
+                        limit: this.maxLimit
+                    }
+                });
+
+                if (response.status !== 200) {
+                    throw new Error(`HTTP Error: ${response.status}`);
+                }
+
+                const klines = this.formatKlines(response.data);
+                page++;
+
+                // Deduplicate overlapping candles by open time
+                klines.forEach(candle => candlesByTime.set(candle.openTime, candle));
+
+                if (klines.length < this.maxLimit) {
+                    break; // Last page
+                }
+
+                const lastOpenTime = klines[klines.length - 1].openTime;
+                if (lastOpenTime < cursor) {
+                    break; // Safety guard against non-advancing pages
+                }
+                cursor = lastOpenTime + 1;
+            }
+        } catch (error) {
+            console.error('❌ Error fetching data from Binance:', error.message);
+            throw this.handleApiErrors(error);
+        }
+
+        const candles = Array.from(candlesByTime.values())
+            .filter(candle => candle.openTime >= startTime && candle.openTime <= endTime)
+            .sort((a, b) => a.openTime - b.openTime);
+
+        console.log(`✅ Successfully fetched ${candles.length} candles in ${page} request(s)`);
+        return candles;
+    }
+
+    /**
+     * Waits for the given amount of milliseconds
+     * @param {number} ms - Milliseconds to wait
+     * @returns {Promise<void>}
+     */
+    sleep(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
     /**
      * Validates if a symbol is valid for trading
      * @param {string} symbol - Symbol to validate
@@ -0,0 +1,55 @@
+import BinanceAPI from './binanceApi.js';
+import CandleCache from './candleCache.js';
+import DateUtils from '../utils/dateUtils.js';
+
+const DEFAULT_LOOKBACK_MS = 30 * 24 * 60 * 60 * 1000; // Last 30 days
+
+class BinanceDataSource {
+    /**
+     * @param {Object} options - Data source options
+     * @param {boolean} options.useCache - Store downloaded candles in the local cache
+     * @param {string} options.cacheDir - Cache directory
+     * @param {boolean} options.offline - Only use cached data
+     */
+    constructor(options = {}) {
+        this.name = 'binance';
+        this.useCache = options.useCache !== false;
+        this.api = new BinanceAPI({
+            cache: this.useCache ? new CandleCache(options.cacheDir) : null,
+            offline: options.offline || false
+        });
+    }
+
+    /**
+     * Validates the symbol against the list of known trading pairs
+     * @param {string} symbol - Symbol to validate
+     * @returns {boolean} True if valid
+     */
+    validateSymbol(symbol) {
+        return this.api.validateSymbol(symbol);
+    }
+
+    /**
+     * Gets candles for a symbol and period
+     * @param {Object} query - Candle query
+     * @param {string} query.symbol - Trading pair symbol
+     * @param {string} query.interval - Time interval (e.g: 1h)
+     * @param {number|null} query.startTime - Start timestamp (default: 30 days before endTime)
+     * @param {number|null} query.endTime - End timestamp (default: now)
+     * @returns {Promise<Array>} Array of candles sorted by time
+     */
+    async getCandles({ symbol, interval = '1h', startTime = null, endTime = null }) {
+        // Candles in the default period (720 for 1h), a single request if Binance allows it
+        const defaultLimit = Math.ceil(DEFAULT_LOOKBACK_MS / DateUtils.intervalToMs(interval));
+        if (startTime === null && endTime === null && !this.useCache && defaultLimit <= this.api.maxLimit) {
+            return this.api.fetchKlines(symbol, interval, defaultLimit);
+        }
+
+        const end = endTime !== null ? endTime : Date.now();
+        const start = startTime !== null ? startTime : end - DEFAULT_LOOKBACK_MS;
+
+        return this.api.fetchKlinesRange(symbol, interval, start, end);
+    }
+}
+
+export default BinanceDataSource;
@@ -0,0 +1,154 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+class CandleCache {
+    constructor(cacheDir = process.env.CACHE_DIR || './cache') {
+        this.cacheDir = cacheDir;
+    }
+
+    /**
+     * Gets the cache file path for a symbol/interval pair
+     * @param {string} symbol - Trading pair symbol
+     * @param {string} interval - Time interval (e.g: 1h)
+     * @returns {string} Cache file path
+     */
+    getFilePath(symbol, interval) {
+        return path.join(this.cacheDir, `${symbol.toUpperCase()}_${interval}.json`);
+    }
+
+    /**
+     * Loads the cached entry for a symbol/interval pair
+     * @param {string} symbol - Trading pair symbol
+     * @param {string} interval - Time interval
+     * @returns {Promise<Object>} Cache entry ({ symbol, interval, ranges, candles })
+     */
+    async load(symbol, interval) {
+        const filepath = this.getFilePath(symbol, interval);
+
+        try {
+            const content = await fs.readFile(filepath, 'utf8');
+            const entry = JSON.parse(content);
+            return {
+                symbol: symbol.toUpperCase(),
+                interval,
+                ranges: entry.ranges || [],
+                candles: entry.candles || []
+            };
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.warn(`⚠️  Ignoring unreadable cache file ${filepath}: ${error.message}`);
+            }
+            return { symbol: symbol.toUpperCase(), interval, ranges: [], candles: [] };
+        }
+    }
+
+    /**
+     * Saves a cache entry to disk
+     * @param {Object} entry - Cache entry
+     * @returns {Promise<string>} Path of the cache file
+     */
+    async save(entry) {
+        const filepath = this.getFilePath(entry.symbol, entry.interval);
+        await fs.mkdir(this.cacheDir, { recursive: true });
+        await fs.writeFile(filepath, JSON.stringify({
+            symbol: entry.symbol,
+            interval: entry.interval,
+            ranges: entry.ranges,
+            candles: entry.candles
+        }), 'utf8');
+        return filepath;
+    }
+
+    /**
+     * Calculates which parts of a time range are not covered by the cache
+     * @param {Object} entry - Cache entry
+     * @param {number} startTime - Start timestamp (inclusive)
+     * @param {number} endTime - End timestamp (inclusive)
+     * @returns {Array} Array of [start, end] ranges still to be fetched
+     */
+    getMissingRanges(entry, startTime, endTime) {
+        const missing = [];
+        let cursor = startTime;
+
+        for (const [rangeStart, rangeEnd] of entry.ranges) {
+            if (rangeEnd < cursor) continue;
+            if (rangeStart > endTime) break;
+
+            if (rangeStart > cursor) {
+                missing.push([cursor, rangeStart - 1]);
+            }
+            cursor = Math.max(cursor, rangeEnd + 1);
+        }
+
+        if (cursor <= endTime) {
+            missing.push([cursor, endTime]);
+        }
+
+        return missing;
+    }
+
+    /**
+     * Adds fetched candles to an entry and marks their range as covered
+     * @param {Object} entry - Cache entry
+     * @param {Array} candles - Fetched candles
+     * @param {number} startTime - Start of the covered range
+     * @param {number} endTime - End of the covered range
+     * @returns {Object} Updated cache entry
+     */
+    addCandles(entry, candles, startTime, endTime) {
+        // Candles still in formation must not be cached
+        const now = Date.now();
+        const closedCandles = candles.filter(c => c.closeTime < now);
+
+        const candlesByTime = new Map(entry.candles.map(c => [c.openTime, c]));
+        closedCandles.forEach(c => candlesByTime.set(c.openTime, c));
+        entry.candles = Array.from(candlesByTime.values()).sort((a, b) => a.openTime - b.openTime);
+
+        // The covered range stops where the first unfinished candle begins
+        let coveredEnd = Math.min(endTime, now);
+        const formingCandle = candles.find(c => c.closeTime >= now);
+        if (formingCandle) {
+            coveredEnd = Math.min(coveredEnd, formingCandle.openTime - 1);
+        }
+
+        if (coveredEnd >= startTime) {
+            entry.ranges = this.mergeRanges([...entry.ranges, [startTime, coveredEnd]]);
+        }
+
+        return entry;
+    }
+
+    /**
+     * Gets the cached candles inside a time range
+     * @param {Object} entry - Cache entry
+     * @param {number} startTime - Start timestamp (inclusive)
+     * @param {number} endTime - End timestamp (inclusive)
+     * @returns {Array} Candles sorted by time
+     */
+    getCandles(entry, startTime, endTime) {
+        return entry.candles.filter(c => c.openTime >= startTime && c.openTime <= endTime);
+    }
+
+    /**
+     * Merges overlapping or adjacent ranges
+     * @param {Array} ranges - Array of [start, end] ranges
+     * @returns {Array} Sorted, non-overlapping ranges
+     */
+    mergeRanges(ranges) {
+        const sorted = [...ranges].sort((a, b) => a[0] - b[0]);
+        const merged = [];
+
+        for (const [start, end] of sorted) {
+            const last = merged[merged.length - 1];
+            if (last && start <= last[1] + 1) {
+                last[1] = Math.max(last[1], end);
+            } else {
+                merged.push([start, end]);
+            }
+        }
+
+        return merged;
+    }
+}
+
+export default CandleCache;
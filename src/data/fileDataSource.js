@@ -0,0 +1,304 @@
+import fs from 'fs/promises';
+import path from 'path';
+import moment from 'moment';
+
+// Column order of Binance kline dumps (data.binance.vision), which have no header
+const BINANCE_COLUMNS = [
+    'openTime', 'open', 'high', 'low', 'close', 'volume', 'closeTime',
+    'quoteVolume', 'trades', 'takerBuyBaseVolume', 'takerBuyQuoteVolume'
+];
+
+// Accepted header names for each candle field (compared in lowercase)
+const HEADER_ALIASES = {
+    openTime: ['opentime', 'open_time', 'timestamp', 'time', 'date', 'datetime', 'unix'],
+    open: ['open', 'o'],
+    high: ['high', 'h'],
+    low: ['low', 'l'],
+    close: ['close', 'c'],
+    volume: ['volume', 'vol', 'v', 'base_volume'],
+    closeTime: ['closetime', 'close_time'],
+    quoteVolume: ['quotevolume', 'quote_volume', 'quote_asset_volume'],
+    trades: ['trades', 'count', 'number_of_trades'],
+    takerBuyBaseVolume: ['takerbuybasevolume', 'taker_buy_volume', 'taker_buy_base_asset_volume'],
+    takerBuyQuoteVolume: ['takerbuyquotevolume', 'taker_buy_quote_volume', 'taker_buy_quote_asset_volume']
+};
+
+const REQUIRED_FIELDS = ['openTime', 'open', 'high', 'low', 'close'];
+
+class FileDataSource {
+    /**
+     * @param {string} filepath - Path of the CSV or JSON candle file ({symbol} and {interval} are replaced by the requested ones)
+     * @param {Object} options - Data source options
+     * @param {Object} options.columns - Explicit column mapping (field -> header name or column index)
+     */
+    constructor(filepath, options = {}) {
+        this.name = 'file';
+        this.filepath = filepath;
+        this.columns = options.columns || null;
+    }
+
+    /**
+     * Symbols are not validated for local files
+     * @returns {boolean} Always true
+     */
+    validateSymbol() {
+        return true;
+    }
+
+    /**
+     * Gets candles from the file, optionally limited to a period
+     * @param {Object} query - Candle query
+     * @param {string} query.symbol - Trading pair symbol (used when the path has a {symbol} placeholder)
+     * @param {string} query.interval - Time interval (used when the path has an {interval} placeholder)
+     * @param {number|null} query.startTime - Start timestamp (inclusive)
+     * @param {number|null} query.endTime - End timestamp (inclusive)
+     * @returns {Promise<Array>} Array of candles sorted by time
+     */
+    async getCandles({ symbol = null, interval = null, startTime = null, endTime = null } = {}) {
+        let filepath = symbol ? this.filepath.replace('{symbol}', symbol) : this.filepath;
+        filepath = interval ? filepath.replace('{interval}', interval) : filepath;
+        console.log(`📂 Loading candles from ${filepath}...`);
+
+        let content;
+        try {
+            content = await fs.readFile(filepath, 'utf8');
+        } catch (error) {
+            throw new Error(`Could not read data file ${filepath}: ${error.message}`);
+        }
+
+        const extension = path.extname(filepath).toLowerCase();
+        const candles = extension === '.json' ? this.parseJSON(content) : this.parseCSV(content);
+        const normalized = this.normalizeCandles(candles);
+
+        const filtered = normalized.filter(c =>
+            (startTime === null || c.openTime >= startTime) &&
+            (endTime === null || c.openTime <= endTime)
+        );
+
+        console.log(`✅ Loaded ${filtered.length} candles from file`);
+        return filtered;
+    }
+
+    /**
+     * Parses CSV content into candles
+     * @param {string} content - CSV content
+     * @returns {Array} Array of candles
+     */
+    parseCSV(content) {
+        const lines = content.split(/\r?\n/).filter(line => line.trim() !== '');
+        if (lines.length === 0) {
+            throw new Error('Data file is empty');
+        }
+
+        const delimiter = lines[0].includes(';') && !lines[0].includes(',') ? ';' : ',';
+        const firstRow = this.splitRow(lines[0], delimiter);
+        const hasHeader = firstRow.some(value => value !== '' && isNaN(Number(value)) && !this.isDateString(value));
+
+        const mapping = this.resolveMapping(hasHeader ? firstRow : null, firstRow.length);
+        const dataLines = hasHeader ? lines.slice(1) : lines;
+        const firstLineNumber = hasHeader ? 2 : 1;
+
+        return dataLines.map((line, index) => {
+            const row = this.splitRow(line, delimiter);
+            return this.buildCandle(row, mapping, firstLineNumber + index);
+        });
+    }
+
+    /**
+     * Parses JSON content into candles (array of objects or raw Binance arrays)
+     * @param {string} content - JSON content
+     * @returns {Array} Array of candles
+     */
+    parseJSON(content) {
+        let data;
+        try {
+            data = JSON.parse(content);
+        } catch (error) {
+            throw new Error(`Invalid JSON data file: ${error.message}`);
+        }
+
+        const rows = Array.isArray(data) ? data : data.candles;
+        if (!Array.isArray(rows)) {
+            throw new Error('JSON data file must contain an array of candles');
+        }
+
+        return rows.map((row, index) => {
+            if (Array.isArray(row)) {
+                const mapping = this.resolveMapping(null, row.length);
+                return this.buildCandle(row.map(String), mapping, index + 1);
+            }
+
+            const keys = Object.keys(row);
+            const mapping = this.resolveMapping(keys, keys.length);
+            return this.buildCandle(keys.map(key => String(row[key])), mapping, index + 1);
+        });
+    }
+
+    /**
+     * Resolves which column holds each candle field
+     * @param {Array|null} header - Header names, or null for headerless files
+     * @param {number} columnCount - Number of columns
+     * @returns {Object} Mapping field -> column index
+     */
+    resolveMapping(header, columnCount) {
+        const mapping = {};
+
+        if (this.columns) {
+            for (const [field, column] of Object.entries(this.columns)) {
+                const index = /^\d+$/.test(String(column)) ?
+                    parseInt(column) :
+                    (header || []).findIndex(name => name.trim().toLowerCase() === String(column).toLowerCase());
+
+                if (index < 0 || index >= columnCount) {
+                    throw new Error(`Column "${column}" for field "${field}" not found in data file`);
+                }
+                mapping[field] = index;
+            }
+        }
+
+        if (header) {
+            const normalizedHeader = header.map(name => name.trim().toLowerCase());
+            for (const [field, aliases] of Object.entries(HEADER_ALIASES)) {
+                if (mapping[field] !== undefined) continue;
+                const index = normalizedHeader.findIndex(name => aliases.includes(name));
+                if (index !== -1) {
+                    mapping[field] = index;
+                }
+            }
+        } else {
+            // Headerless files are assumed to follow the Binance dump layout
+            BINANCE_COLUMNS.forEach((field, index) => {
+                if (mapping[field] === undefined && index < columnCount) {
+                    mapping[field] = index;
+                }
+            });
+        }
+
+        const missing = REQUIRED_FIELDS.filter(field => mapping[field] === undefined);
+        if (missing.length > 0) {
+            throw new Error(`Missing required column(s): ${missing.join(', ')}. Use --columns to map them.`);
+        }
+
+        return mapping;
+    }
+
+    /**
+     * Builds and validates a candle from a row
+     * @param {Array} row - Row values
+     * @param {Object} mapping - Field -> column index mapping
+     * @param {number} lineNumber - Line number (for error messages)
+     * @returns {Object} Candle
+     */
+    buildCandle(row, mapping, lineNumber) {
+        const value = field => mapping[field] !== undefined ? row[mapping[field]] : undefined;
+        const number = field => {
+            const raw = value(field);
+            if (raw === undefined || raw === '') return null;
+            const parsed = parseFloat(raw);
+            if (isNaN(parsed)) {
+                throw new Error(`Invalid ${field} value "${raw}" at line ${lineNumber}`);
+            }
+            return parsed;
+        };
+
+        const candle = {
+            openTime: this.parseTimestamp(value('openTime'), lineNumber),
+            open: number('open'),
+            high: number('high'),
+            low: number('low'),
+            close: number('close'),
+            volume: number('volume') || 0,
+            closeTime: value('closeTime') ? this.parseTimestamp(value('closeTime'), lineNumber) : null,
+            quoteVolume: number('quoteVolume'),
+            trades: number('trades'),
+            takerBuyBaseVolume: number('takerBuyBaseVolume'),
+            takerBuyQuoteVolume: number('takerBuyQuoteVolume')
+        };
+
+        for (const field of ['open', 'high', 'low', 'close']) {
+            if (candle[field] === null || candle[field] <= 0) {
+                throw new Error(`Missing or non-positive ${field} at line ${lineNumber}`);
+            }
+        }
+
+        if (candle.high < Math.max(candle.open, candle.close) || candle.low > Math.min(candle.open, candle.close)) {
+            throw new Error(`Inconsistent OHLC values at line ${lineNumber}`);
+        }
+
+        return candle;
+    }
+
+    /**
+     * Sorts, deduplicates and completes the loaded candles
+     * @param {Array} candles - Parsed candles
+     * @returns {Array} Normalized candles
+     */
+    normalizeCandles(candles) {
+        const candlesByTime = new Map();
+        candles.forEach(candle => candlesByTime.set(candle.openTime, candle));
+        const sorted = Array.from(candlesByTime.values()).sort((a, b) => a.openTime - b.openTime);
+
+        if (sorted.length < candles.length) {
+            console.warn(`⚠️  Removed ${candles.length - sorted.length} duplicated candle(s)`);
+        }
+
+        // Infer the candle duration from the smallest gap between candles
+        let step = Infinity;
+        for (let i = 1; i < sorted.length; i++) {
+            step = Math.min(step, sorted[i].openTime - sorted[i - 1].openTime);
+        }
+
+        return sorted.map(candle => ({
+            ...candle,
+            closeTime: candle.closeTime !== null ? candle.closeTime : (isFinite(step) ? candle.openTime + step - 1 : candle.openTime),
+            quoteVolume: candle.quoteVolume !== null ? candle.quoteVolume : candle.volume * candle.close,
+            trades: candle.trades !== null ? Math.round(candle.trades) : null
+        }));
+    }
+
+    /**
+     * Parses a timestamp in seconds, milliseconds, microseconds or as a date string
+     * @param {string} raw - Raw timestamp value
+     * @param {number} lineNumber - Line number (for error messages)
+     * @returns {number} Timestamp in milliseconds
+     */
+    parseTimestamp(raw, lineNumber) {
+        if (raw === undefined || raw === '') {
+            throw new Error(`Missing timestamp at line ${lineNumber}`);
+        }
+
+        if (/^\d+(\.\d+)?$/.test(raw)) {
+            const numeric = parseFloat(raw);
+            if (numeric < 1e11) return Math.round(numeric * 1000); // Seconds
+            if (numeric > 1e14) return Math.floor(numeric / 1000); // Microseconds
+            return Math.round(numeric); // Milliseconds
+        }
+
+        const date = moment.utc(raw, moment.ISO_8601, true);
+        if (!date.isValid()) {
+            throw new Error(`Invalid timestamp "${raw}" at line ${lineNumber}`);
+        }
+        return date.valueOf();
+    }
+
+    /**
+     * Checks if a value looks like a date string
+     * @param {string} value - Value to check
+     * @returns {boolean} True if it is an ISO date
+     */
+    isDateString(value) {
+        return moment.utc(value, moment.ISO_8601, true).isValid();
+    }
+
+    /**
+     * Splits a CSV row, removing surrounding quotes
+     * @param {string} line - CSV line
+     * @param {string} delimiter - Column delimiter
+     * @returns {Array} Row values
+     */
+    splitRow(line, delimiter) {
+        return line.split(delimiter).map(value => value.trim().replace(/^"(.*)"$/, '$1'));
+    }
+}
+
+export default FileDataSource;
@@ -0,0 +1,28 @@
+import BinanceDataSource from './binanceDataSource.js';
+import FileDataSource from './fileDataSource.js';
+
+/**
+ * Data sources share a single contract:
+ *   getCandles({ symbol, interval, startTime, endTime }) -> Promise<Array>
+ * returning candles shaped like BinanceAPI.formatKlines output, sorted by openTime.
+ */
+
+/**
+ * Creates the data source selected in the configuration
+ * @param {Object} config - Application configuration
+ * @returns {BinanceDataSource|FileDataSource} Data source
+ */
+function createDataSource(config = {}) {
+    if (config.dataFile) {
+        return new FileDataSource(config.dataFile, { columns: config.columns });
+    }
+
+    return new BinanceDataSource({
+        useCache: config.useCache,
+        cacheDir: config.cacheDir,
+        offline: config.offline
+    });
+}
+
+export { BinanceDataSource, FileDataSource, createDataSource };
+export default createDataSource;
@@ -1,24 +1,66 @@
 #!/usr/bin/env node
 
-import BinanceAPI from './data/binanceApi.js';
+import { createDataSource } from './data/index.js';
 import DateUtils from './utils/dateUtils.js';
 import MathUtils from './utils/mathUtils.js';
 import BacktestEngine from './backtest/engine.js';
+import Optimizer from './backtest/optimizer.js';
+import WalkForwardAnalyzer from './backtest/walkForward.js';
+import MonteCarloSimulator from './backtest/monteCarlo.js';
+import PositionSizer from './backtest/positionSizer.js';
+import EntryModel from './backtest/entryModel.js';
+import TradeManager from './backtest/tradeManager.js';
+import RiskGuard from './backtest/riskGuard.js';
+import PortfolioEngine from './backtest/portfolioEngine.js';
+import IntrabarResolver from './backtest/intrabarResolver.js';
+import { FileDataSource } from './data/index.js';
+import { getStrategy, listStrategies } from './strategies/index.js';
+
+const COMMANDS = ['backtest', 'optimize', 'walkforward', 'montecarlo'];
+// Commands searching ranges and lists of the optimizable parameters
+const RANGE_COMMANDS = ['optimize', 'walkforward'];
 
 class BacktestingApp {
     constructor() {
-        this.binanceAPI = new BinanceAPI();
         this.config = this.parseArguments();
+        this.dataSource = createDataSource(this.config);
         this.backtestEngine = new BacktestEngine(
             this.config.capital, 
             this.config.leverage, 
             this.config.maxHours,
             this.config.stopLossPercent,
             this.config.takeProfitPercent,
-            this.config.outputDir
+            this.config.outputDir,
+            {
+                strategy: this.config.strategy,
+                strategyParams: this.config.strategyParams,
+                costs: this.config.costs,
+                maintenanceMarginPercent: this.config.maintenanceMarginPercent,
+                sizing: this.config.sizing,
+                entry: this.config.entry,
+                management: this.config.management,
+                risk: this.config.risk,
+                hedging: this.config.hedging,
+                intrabar: this.createIntrabarResolver()
+            }
         );
     }
 
+    /**
+     * Creates the lower-timeframe resolver when precise mode is enabled
+     * @returns {IntrabarResolver|null} Resolver or null
+     */
+    createIntrabarResolver() {
+        if (!this.config.intrabar) {
+            return null;
+        }
+
+        const source = this.config.intrabarData ?
+            new FileDataSource(this.config.intrabarData, { columns: this.config.columns }) :
+            this.dataSource;
+        return new IntrabarResolver(source, this.config.intrabar);
+    }
+
     /**
      * Parses command line arguments
      * @returns {Object} Backtesting configuration
@@ -27,15 +69,76 @@ class BacktestingApp {
         const args = process.argv.slice(2);
         
         const config = {
+            mode: 'backtest',
             symbol: process.env.DEFAULT_SYMBOL || 'BTCUSDT',
+            symbols: null,
+            allocation: 'equal',
+            maxPositions: null,
+            interval: '1h',
+            timezone: 'UTC',
+            dayStart: '00:00',
             capital: 100,
             leverage: 5,
             maxHours: 4,
             stopLossPercent: 10,
             takeProfitPercent: 20,
+            maintenanceMarginPercent: 0.5,
             outputDir: './results',
-            saveResults: true
+            saveResults: true,
+            from: null,
+            to: null,
+            useCache: true,
+            cacheDir: process.env.CACHE_DIR || './cache',
+            offline: false,
+            dataFile: null,
+            columns: null,
+            intrabar: null,
+            intrabarData: null,
+            referenceData: null,
+            strategy: 'breakout',
+            strategyParams: {},
+            costs: {
+                makerFeePercent: 0,
+                takerFeePercent: 0,
+                slippageModel: 'none',
+                slippageValue: 0,
+                fundingRatePercent: 0,
+                fundingIntervalHours: 8
+            },
+            sizing: {
+                model: 'full',
+                value: null,
+                atrPeriod: 14,
+                kellyMinTrades: 20
+            },
+            entry: {
+                type: 'close',
+                expiryCandles: 3
+            },
+            management: {
+                breakEvenPercent: null,
+                trailing: null,
+                takeProfitLevels: null,
+                atrPeriod: 14
+            },
+            risk: {
+                dailyLossPercent: null,
+                weeklyLossPercent: null,
+                lossStreak: null,
+                equityStopPercent: null
+            },
+            hedging: false,
+            ranges: {},
+            objective: 'return',
+            top: 10,
+            inSampleDays: 60,
+            outOfSampleDays: 30,
+            iterations: 5000,
+            monteCarloMethod: 'bootstrap',
+            ruinPercent: 50,
+            seed: undefined
         };
+        const extraOptions = {};
 
         // Parse arguments
         for (let i = 0; i < args.length; i++) {
@@ -44,29 +147,309 @@ class BacktestingApp {
             if (arg === '--help' || arg === '-h') {
                 this.showHelp();
                 process.exit(0);
+            } else if (arg === '--list-strategies') {
+                this.showStrategies();
+                process.exit(0);
+            } else if (arg.startsWith('--strategy=')) {
+                config.strategy = arg.split('=')[1];
+            } else if (arg.startsWith('--interval=')) {
+                config.interval = arg.split('=')[1];
+                if (!DateUtils.getIntervals().includes(config.interval)) {
+                    console.error(`❌ Invalid interval "${config.interval}". Available: ${DateUtils.getIntervals().join(', ')}`);
+                    process.exit(1);
+                }
+            } else if (arg.startsWith('--timezone=')) {
+                config.timezone = arg.split('=')[1];
+            } else if (arg.startsWith('--day-start=')) {
+                config.dayStart = arg.split('=')[1];
             } else if (arg.startsWith('--capital=')) {
                 config.capital = parseFloat(arg.split('=')[1]);
             } else if (arg.startsWith('--leverage=')) {
                 config.leverage = parseFloat(arg.split('=')[1]);
+                config.ranges.leverage = arg.split('=')[1];
             } else if (arg.startsWith('--hours=')) {
                 config.maxHours = parseFloat(arg.split('=')[1]);
+                config.ranges.maxHours = arg.split('=')[1];
             } else if (arg.startsWith('--sl=')) {
                 config.stopLossPercent = parseFloat(arg.split('=')[1]);
+                config.ranges.stopLossPercent = arg.split('=')[1];
             } else if (arg.startsWith('--tp=')) {
                 config.takeProfitPercent = parseFloat(arg.split('=')[1]);
+                config.ranges.takeProfitPercent = arg.split('=')[1];
+            } else if (arg.startsWith('--mmr=')) {
+                config.maintenanceMarginPercent = parseFloat(arg.split('=')[1]);
+            } else if (arg.startsWith('--maker-fee=')) {
+                config.costs.makerFeePercent = parseFloat(arg.split('=')[1]);
+            } else if (arg.startsWith('--taker-fee=')) {
+                config.costs.takerFeePercent = parseFloat(arg.split('=')[1]);
+            } else if (arg.startsWith('--slippage=')) {
+                const [model, value] = arg.split('=')[1].split(':');
+                if (!['none', 'bps', 'range'].includes(model)) {
+                    console.error(`❌ Invalid slippage model "${model}". Use bps:N or range:FRACTION`);
+                    process.exit(1);
+                }
+                config.costs.slippageModel = model;
+                config.costs.slippageValue = parseFloat(value) || 0;
+            } else if (arg.startsWith('--funding=')) {
+                config.costs.fundingRatePercent = parseFloat(arg.split('=')[1]);
+            } else if (arg.startsWith('--funding-hours=')) {
+                config.costs.fundingIntervalHours = parseFloat(arg.split('=')[1]);
+            } else if (arg.startsWith('--sizing=')) {
+                const [model, value] = arg.split('=')[1].split(':');
+                if (!Object.keys(PositionSizer.getModels()).includes(model)) {
+                    console.error(`❌ Invalid sizing model "${model}". Available: ${Object.keys(PositionSizer.getModels()).join(', ')}`);
+                    process.exit(1);
+                }
+                if (model === 'fixed-notional' && !(parseFloat(value) > 0)) {
+                    console.error('❌ fixed-notional sizing needs a position size in USD (e.g: --sizing=fixed-notional:500)');
+                    process.exit(1);
+                }
+                config.sizing.model = model;
+                config.sizing.value = value !== undefined ? parseFloat(value) : null;
+            } else if (arg.startsWith('--atr-period=')) {
+                config.sizing.atrPeriod = parseInt(arg.split('=')[1]);
+                config.management.atrPeriod = config.sizing.atrPeriod;
+            } else if (arg.startsWith('--kelly-min-trades=')) {
+                config.sizing.kellyMinTrades = parseInt(arg.split('=')[1]);
+            } else if (arg.startsWith('--entry=')) {
+                config.entry.type = arg.split('=')[1];
+                if (!EntryModel.getTypes()[config.entry.type]) {
+                    console.error(`❌ Invalid entry type "${config.entry.type}". Available: ${Object.keys(EntryModel.getTypes()).join(', ')}`);
+                    process.exit(1);
+                }
+            } else if (arg.startsWith('--entry-expiry=')) {
+                config.entry.expiryCandles = Number(arg.split('=')[1]);
+                if (!Number.isInteger(config.entry.expiryCandles) || config.entry.expiryCandles < 1) {
+                    console.error('❌ --entry-expiry must be a whole number of candles (1 or more)');
+                    process.exit(1);
+                }
+            } else if (arg.startsWith('--break-even=')) {
+                config.management.breakEvenPercent = parseFloat(arg.split('=')[1]);
+                if (!(config.management.breakEvenPercent > 0)) {
+                    console.error('❌ --break-even must be a profit above 0% of capital (e.g: --break-even=10)');
+                    process.exit(1);
+                }
+            } else if (arg.startsWith('--trailing=')) {
+                try {
+                    config.management.trailing = TradeManager.parseTrailing(arg.split('=')[1]);
+                } catch (error) {
+                    console.error(`❌ ${error.message}`);
+                    process.exit(1);
+                }
+            } else if (arg.startsWith('--tp-levels=')) {
+                try {
+                    config.management.takeProfitLevels = TradeManager.parseTakeProfitLevels(arg.split('=')[1]);
+                } catch (error) {
+                    console.error(`❌ ${error.message}`);
+                    process.exit(1);
+                }
+            } else if (arg.startsWith('--daily-loss-limit=')) {
+                config.risk.dailyLossPercent = parseFloat(arg.split('=')[1]);
+                if (!(config.risk.dailyLossPercent > 0 && config.risk.dailyLossPercent <= 100)) {
+                    console.error('❌ --daily-loss-limit must be a loss between 0% and 100% of the balance (e.g: --daily-loss-limit=5)');
+                    process.exit(1);
+                }
+            } else if (arg.startsWith('--weekly-loss-limit=')) {
+                config.risk.weeklyLossPercent = parseFloat(arg.split('=')[1]);
+                if (!(config.risk.weeklyLossPercent > 0 && config.risk.weeklyLossPercent <= 100)) {
+                    console.error('❌ --weekly-loss-limit must be a loss between 0% and 100% of the balance (e.g: --weekly-loss-limit=10)');
+                    process.exit(1);
+                }
+            } else if (arg.startsWith('--loss-streak=')) {
+                try {
+                    config.risk.lossStreak = RiskGuard.parseLossStreak(arg.split('=')[1]);
+                } catch (error) {
+                    console.error(`❌ ${error.message}`);
+                    process.exit(1);
+                }
+            } else if (arg.startsWith('--equity-stop=')) {
+                config.risk.equityStopPercent = parseFloat(arg.split('=')[1]);
+                if (!(config.risk.equityStopPercent > 0 && config.risk.equityStopPercent < 100)) {
+                    console.error('❌ --equity-stop must be a balance between 0% and 100% of the initial capital (e.g: --equity-stop=50)');
+                    process.exit(1);
+                }
+            } else if (arg === '--hedging') {
+                config.hedging = true;
+            } else if (arg.startsWith('--intrabar=')) {
+                config.intrabar = arg.split('=')[1];
+            } else if (arg.startsWith('--intrabar-data=')) {
+                config.intrabarData = arg.split('=')[1];
+            } else if (arg.startsWith('--reference-data=')) {
+                config.referenceData = arg.split('=')[1];
+            } else if (arg.startsWith('--allocation=')) {
+                config.allocation = this.parseAllocation(arg.split('=')[1]);
+            } else if (arg.startsWith('--max-positions=')) {
+                config.maxPositions = parseInt(arg.split('=')[1]);
             } else if (arg.startsWith('--output=')) {
                 config.outputDir = arg.split('=')[1];
+            } else if (arg.startsWith('--from=')) {
+                config.from = arg.split('=')[1];
+            } else if (arg.startsWith('--to=')) {
+                config.to = arg.split('=')[1];
+            } else if (arg.startsWith('--cache-dir=')) {
+                config.cacheDir = arg.split('=')[1];
+            } else if (arg === '--no-cache') {
+                config.useCache = false;
+            } else if (arg === '--offline') {
+                config.offline = true;
+            } else if (arg.startsWith('--data=')) {
+                config.dataFile = arg.split('=')[1];
+            } else if (arg.startsWith('--columns=')) {
+                config.columns = this.parseColumnMapping(arg.split('=')[1]);
+            } else if (arg.startsWith('--objective=')) {
+                config.objective = arg.split('=')[1];
+            } else if (arg.startsWith('--top=')) {
+                config.top = parseInt(arg.split('=')[1]);
+            } else if (arg.startsWith('--is-days=')) {
+                config.inSampleDays = parseInt(arg.split('=')[1]);
+            } else if (arg.startsWith('--oos-days=')) {
+                config.outOfSampleDays = parseInt(arg.split('=')[1]);
+            } else if (arg.startsWith('--iterations=')) {
+                config.iterations = Number(arg.split('=')[1]);
+                if (!Number.isInteger(config.iterations) || config.iterations < 1) {
+                    console.error('❌ --iterations must be a whole number of paths (1 or more)');
+                    process.exit(1);
+                }
+            } else if (arg.startsWith('--method=')) {
+                config.monteCarloMethod = arg.split('=')[1];
+            } else if (arg.startsWith('--ruin=')) {
+                config.ruinPercent = parseFloat(arg.split('=')[1]);
+            } else if (arg.startsWith('--seed=')) {
+                config.seed = parseInt(arg.split('=')[1]);
             } else if (arg === '--no-save') {
                 config.saveResults = false;
+            } else if (COMMANDS.includes(arg.toLowerCase())) {
+                config.mode = arg.toLowerCase();
             } else if (!arg.startsWith('--')) {
-                // If it's not an option, it's the symbol
-                config.symbol = arg.toUpperCase();
+                // If it's not an option, it's the symbol (or a comma-separated list for a portfolio)
+                config.symbols = arg.toUpperCase().split(',').filter(symbol => symbol);
+                config.symbol = config.symbols[0];
+            } else {
+                // Remaining options may be parameters of the selected strategy
+                const [name, ...value] = arg.slice(2).split('=');
+                extraOptions[name] = value.join('=');
+            }
+        }
+
+        config.strategyParams = this.parseStrategyParams(config.strategy, extraOptions);
+        config.symbols = config.symbols || [config.symbol];
+
+        // A backtest runs a single parameter set: ranges and lists are only searched by the range commands
+        if (!RANGE_COMMANDS.includes(config.mode)) {
+            for (const [key, option] of Object.entries(Optimizer.getOptimizableParams())) {
+                if (/[:,]/.test(config.ranges[key] || '')) {
+                    console.error(`❌ --${option}=${config.ranges[key]}: ranges and lists are only supported by ${RANGE_COMMANDS.join(' and ')}`);
+                    process.exit(1);
+                }
             }
         }
 
+        try {
+            DateUtils.setTradingDay({ timezone: config.timezone, dayStart: config.dayStart });
+            config.dayStart = DateUtils.getTradingDay().dayStart;
+        } catch (error) {
+            console.error(`❌ ${error.message}`);
+            process.exit(1);
+        }
+
+        if (config.intrabar && config.dataFile && !config.intrabarData) {
+            console.error('❌ --intrabar with --data needs the lower-timeframe candles file in --intrabar-data');
+            process.exit(1);
+        }
+
+        if (config.intrabar && (!DateUtils.getIntervals().includes(config.intrabar) ||
+            DateUtils.intervalToMs(config.intrabar) >= DateUtils.intervalToMs(config.interval))) {
+            console.error(`❌ --intrabar must be a lower timeframe than --interval (${config.interval})`);
+            process.exit(1);
+        }
+
         return config;
     }
 
+    /**
+     * Matches extra CLI options (--kebab-case=value) with the strategy parameter schema
+     * @param {string} strategyName - Selected strategy
+     * @param {Object} options - Extra options by name
+     * @returns {Object} Strategy parameters (camelCase)
+     */
+    parseStrategyParams(strategyName, options) {
+        let StrategyClass;
+        try {
+            StrategyClass = getStrategy(strategyName);
+        } catch (error) {
+            console.error(`❌ ${error.message}`);
+            process.exit(1);
+        }
+
+        const params = {};
+        for (const [name, value] of Object.entries(options)) {
+            const key = name.replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+            if (key in StrategyClass.paramSchema) {
+                params[key] = value;
+            } else {
+                console.warn(`⚠️  Unknown option --${name} (ignored)`);
+            }
+        }
+
+        try {
+            StrategyClass.resolveParams(params);
+        } catch (error) {
+            console.error(`❌ ${error.message}`);
+            process.exit(1);
+        }
+
+        return params;
+    }
+
+    /**
+     * Converts a camelCase parameter name to its CLI option name
+     * @param {string} key - Parameter name
+     * @returns {string} Option name in kebab-case
+     */
+    toOptionName(key) {
+        return key.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`);
+    }
+
+    /**
+     * Shows the registered strategies and their parameters
+     */
+    showStrategies() {
+        console.log('📚 Available strategies:');
+        for (const StrategyClass of listStrategies()) {
+            console.log('');
+            console.log(`  ${StrategyClass.strategyName} - ${StrategyClass.description}`);
+
+            const params = Object.entries(StrategyClass.paramSchema);
+            if (params.length === 0) {
+                console.log('    (no parameters)');
+            }
+            for (const [key, definition] of params) {
+                const value = definition.values ? definition.values.join('|') : definition.type === 'boolean' ? 'true|false' : 'N';
+                const option = `--${this.toOptionName(key)}=${value}`;
+                console.log(`    ${option.padEnd(30)} ${definition.description} (default: ${definition.default === null ? 'off' : definition.default})`);
+            }
+        }
+    }
+
+    /**
+     * Parses a column mapping (e.g: openTime:Date,close:Close or openTime:0,close:4)
+     * @param {string} value - Mapping definition
+     * @returns {Object} Mapping field -> column name or index
+     */
+    parseColumnMapping(value) {
+        const fieldAliases = { time: 'openTime', timestamp: 'openTime', date: 'openTime' };
+        const mapping = {};
+
+        value.split(',').forEach(pair => {
+            const [field, column] = pair.split(':');
+            if (field && column !== undefined) {
+                mapping[fieldAliases[field] || field] = column;
+            }
+        });
+
+        return mapping;
+    }
+
     /**
      * Shows program help
      */
@@ -76,16 +459,69 @@ class BacktestingApp {
         console.log('');
         console.log('Usage:');
         console.log('  node src/index.js [SYMBOL] [OPTIONS]');
+        console.log('  node src/index.js optimize [SYMBOL] [OPTIONS]');
+        console.log('  node src/index.js walkforward [SYMBOL] [OPTIONS]');
+        console.log('  node src/index.js montecarlo [SYMBOL] [OPTIONS]');
+        console.log('');
+        console.log('Commands:');
+        console.log('  backtest            Run a single backtest (default)');
+        console.log('  optimize            Grid search over --sl, --tp, --hours and --leverage ranges');
+        console.log('  walkforward         Optimize on rolling in-sample windows, evaluate out-of-sample');
+        console.log('  montecarlo          Resample the backtest trades to estimate drawdown and risk of ruin');
         console.log('');
         console.log('Arguments:');
-        console.log('  SYMBOL              Trading pair symbol (e.g: BTCUSDT)');
+        console.log('  SYMBOL              Trading pair symbol (e.g: BTCUSDT) or a comma-separated list for a portfolio');
         console.log('');
         console.log('Options:');
+        console.log('  --interval=TF       Candle timeframe: 1m, 5m, 15m, 30m, 1h, 4h, 1d... (default: 1h)');
+        console.log('  --timezone=TZ       Timezone of the trading day, e.g: America/New_York (default: UTC)');
+        console.log('  --day-start=HH[:mm] Local time the trading day starts at (default: 00:00)');
         console.log('  --capital=N         Initial capital in USD (default: 100)');
         console.log('  --leverage=N        Leverage (default: 5)');
         console.log('  --hours=N           Maximum hours per trade (default: 4)');
         console.log('  --sl=N              Stop Loss % of capital (default: 10)');
         console.log('  --tp=N              Take Profit % of capital (default: 20)');
+        console.log('  --mmr=N             Maintenance margin % of notional for liquidations (default: 0.5)');
+        console.log('  --maker-fee=N       Maker fee % of notional, used on TP exits (default: 0)');
+        console.log('  --taker-fee=N       Taker fee % of notional, used on market fills (default: 0)');
+        console.log('  --slippage=MODEL:N  Slippage on market fills: bps:N or range:FRACTION (default: none)');
+        console.log('  --funding=N         Funding rate % per funding period, longs pay (default: 0)');
+        console.log('  --funding-hours=N   Hours between funding payments (default: 8)');
+        console.log('  --sizing=MODEL[:N]  Position sizing: full, fixed-notional:USD, fixed-fraction:%, fixed-risk:%, atr:%, kelly:FRACTION (default: full)');
+        console.log('  --atr-period=N      ATR period for atr sizing and atr trailing stops (default: 14)');
+        console.log('  --kelly-min-trades=N Trades before kelly sizing is used (default: 20)');
+        console.log('  --entry=TYPE        Entry order: close, next-open, stop, limit (default: close)');
+        console.log('  --entry-expiry=N    Candles a stop or limit entry waits for a fill (default: 3)');
+        console.log('  --break-even=N      Move the stop to the entry price after a profit of N% of capital');
+        console.log('  --trailing=TYPE:N   Trailing stop: percent:N (% of capital) or atr:N (ATR multiple)');
+        console.log('  --tp-levels=LIST    Partial take profits as PERCENT:FRACTION,... (e.g: 10:50,20:50), replaces --tp');
+        console.log('  --daily-loss-limit=N Stop trading for the rest of the day after losing N% of its starting balance');
+        console.log('  --weekly-loss-limit=N Stop trading for the rest of the week after losing N% of its starting balance');
+        console.log('  --loss-streak=K:N   Pause the rest of the day and N more days after K losses in a row');
+        console.log('  --equity-stop=N     Stop trading once the balance drops below N% of the initial capital');
+        console.log('  --hedging           Allow new trades while others are still open (default: one position at a time)');
+        console.log('  --allocation=RULE   Portfolio allocation: equal or SYMBOL:PERCENT,... (default: equal)');
+        console.log('  --max-positions=N   Portfolio cap on concurrent open positions (default: one per symbol)');
+        console.log('  --from=YYYY-MM-DD   Start trading day of the backtest (default: last 30 days)');
+        console.log('  --to=YYYY-MM-DD     End trading day of the backtest, inclusive (default: now)');
+        console.log('  --cache-dir=DIR     Directory of the local candle cache (default: ./cache)');
+        console.log('  --no-cache          Always download candles, bypassing the cache');
+        console.log('  --offline           Run only with cached candles (no network access)');
+        console.log('  --data=FILE         Load candles from a CSV/JSON file instead of Binance');
+        console.log('  --columns=MAP       Column mapping for --data (e.g: time:Date,close:Close)');
+        console.log('  --intrabar=INTERVAL Replay candles touching SL and TP with lower-timeframe candles (e.g: 1m, 5m)');
+        console.log('  --intrabar-data=FILE Lower-timeframe candles file for --intrabar with --data');
+        console.log('  --reference-data=FILE Higher-timeframe klines file for --level-source=klines with --data ({interval} placeholder)');
+        console.log('  --strategy=NAME     Strategy to backtest (default: breakout)');
+        console.log('  --list-strategies   List available strategies and their parameters');
+        console.log('  --objective=NAME    Optimize ranking: return, sharpe, calmar, return-dd (default: return)');
+        console.log('  --top=N             Rows shown in the optimization table (default: 10)');
+        console.log('  --is-days=N         Walk-forward in-sample window in days (default: 60)');
+        console.log('  --oos-days=N        Walk-forward out-of-sample window in days (default: 30)');
+        console.log('  --iterations=N      Monte Carlo paths (default: 5000)');
+        console.log('  --method=NAME       Monte Carlo resampling: bootstrap, shuffle (default: bootstrap)');
+        console.log('  --ruin=PERCENT      Loss of capital % counted as ruin (default: 50)');
+        console.log('  --seed=N            Seed for reproducible Monte Carlo runs');
         console.log('  --output=DIR        Output directory for results (default: ./results)');
         console.log('  --no-save           Disable saving results to JSON');
         console.log('  --help, -h          Show this help');
@@ -94,8 +530,29 @@ class BacktestingApp {
         console.log('  node src/index.js BTCUSDT');
         console.log('  node src/index.js ETHUSDT --capital=200 --leverage=3');
         console.log('  node src/index.js BTCUSDT --hours=2');
+        console.log('  node src/index.js BTCUSDT --interval=15m --hours=1.5');
         console.log('  node src/index.js BTCUSDT --sl=5 --tp=15');
         console.log('  node src/index.js BTCUSDT --capital=500 --leverage=10 --hours=6 --sl=15 --tp=30');
+        console.log('  node src/index.js BTCUSDT --from=2022-01-01 --to=2024-12-31');
+        console.log('  node src/index.js BTCUSDT --timezone=America/New_York --day-start=17:00');
+        console.log('  node src/index.js BTCUSDT --maker-fee=0.02 --taker-fee=0.05 --slippage=bps:2 --funding=0.01');
+        console.log('  node src/index.js BTCUSDT --offline --sl=5 --tp=15');
+        console.log('  node src/index.js BTCUSDT --data=./candles.csv');
+        console.log('  node src/index.js optimize BTCUSDT --sl=5:20:5 --tp=10:40:10 --hours=2:8:2 --objective=sharpe');
+        console.log('  node src/index.js walkforward BTCUSDT --from=2022-01-01 --sl=5:20:5 --tp=10:40:10 --is-days=90 --oos-days=30');
+        console.log('  node src/index.js montecarlo BTCUSDT --leverage=10 --iterations=10000 --ruin=30');
+        console.log('  node src/index.js BTCUSDT --leverage=10 --sizing=fixed-risk:1');
+        console.log('  node src/index.js BTCUSDT --sl=5 --tp=5 --intrabar=1m');
+        console.log('  node src/index.js BTCUSDT --entry=limit --entry-expiry=4 --maker-fee=0.02 --taker-fee=0.05');
+        console.log('  node src/index.js BTCUSDT --hours=24 --tp-levels=10:50,30 --break-even=10 --trailing=atr:2');
+        console.log('  node src/index.js BTCUSDT --interval=15m --levels=weekly --level-source=klines');
+        console.log('  node src/index.js BTCUSDT --interval=15m --levels=session --session=asia');
+        console.log('  node src/index.js BTCUSDT --fade=false --direction=long --entry-hours=08:00-20:00 --weekdays=mon-fri');
+        console.log('  node src/index.js BTCUSDT --ema-filter=200 --rsi-filter=14 --atr-filter=above-median');
+        console.log('  node src/index.js BTCUSDT --min-relative-volume=1.5 --min-taker-pressure=55');
+        console.log('  node src/index.js BTCUSDT --levels=session --max-trades-per-day=3 --reentry=opposite --cooldown-candles=2');
+        console.log('  node src/index.js BTCUSDT --daily-loss-limit=5 --loss-streak=3:1 --equity-stop=50');
+        console.log('  node src/index.js BTCUSDT,ETHUSDT,SOLUSDT --allocation=BTCUSDT:50,ETHUSDT:25,SOLUSDT:25 --max-positions=2');
         console.log('  node src/index.js BTCUSDT --output=./my-results');
         console.log('  node src/index.js BTCUSDT --no-save');
     }
@@ -109,19 +566,52 @@ class BacktestingApp {
             console.log('=' .repeat(50));
 
             // Show configuration
-            console.log(`📊 Symbol: ${this.config.symbol}`);
+            if (this.isPortfolio()) {
+                console.log(`📊 Symbols: ${this.config.symbols.join(', ')}`);
+            } else {
+                console.log(`📊 Symbol: ${this.config.symbol}`);
+            }
+            console.log(`🕯️  Interval: ${this.config.interval}`);
+            console.log(`🕐 Trading day: starts at ${this.config.dayStart} ${this.config.timezone}`);
+            console.log(`🧠 Strategy: ${this.config.strategy}`);
             console.log(`💵 Initial capital: $${this.config.capital}`);
             console.log(`⚖️  Leverage: ${this.config.leverage}x`);
             console.log(`⏰ Time closure: ${this.config.maxHours} hours`);
+            this.checkTimeClosure();
             console.log(`🛑 Stop Loss: ${this.config.stopLossPercent}% of capital`);
             console.log(`🎯 Take Profit: ${this.config.takeProfitPercent}% of capital`);
-            console.log(`📅 Fetching data from the last 30 days...`);
+            const costs = this.config.costs;
+            const slippage = costs.slippageModel === 'none' ? 'none' : `${costs.slippageModel}:${costs.slippageValue}`;
+            console.log(`📐 Position sizing: ${this.backtestEngine.simulator.positionSizer.describe()}`);
+            console.log(`📥 Entry: ${this.backtestEngine.simulator.entryModel.describe()}`);
+            console.log(`🧭 Trade management: ${this.backtestEngine.simulator.tradeManager.describe()}`);
+            console.log(`🛡️  Risk guards: ${this.backtestEngine.simulator.riskGuard.describe()}`);
+            if (this.config.hedging) {
+                console.log('🔀 Hedging: new trades can open while others are still open');
+            }
+            if (this.config.intrabar) {
+                console.log(`🔍 Intrabar resolution: ${this.config.intrabar} candles for candles touching SL and TP`);
+                if (['optimize', 'walkforward'].includes(this.config.mode) || this.isPortfolio()) {
+                    console.warn(`⚠️  --intrabar is not supported by ${this.isPortfolio() ? 'portfolios' : `the ${this.config.mode} command`} and will be ignored`);
+                }
+            }
+            console.log(`🧾 Fees: maker ${costs.makerFeePercent}% / taker ${costs.takerFeePercent}% | Slippage: ${slippage} | Funding: ${costs.fundingRatePercent}%`);
+
+            if (this.isPortfolio()) {
+                await this.runPortfolio();
+                console.log('\n🎯 Portfolio backtesting completed successfully!');
+                return;
+            }
 
             // Validate symbol
-            this.binanceAPI.validateSymbol(this.config.symbol);
+            this.dataSource.validateSymbol(this.config.symbol);
+
+            // Get data from the selected source
+            const candles = await this.fetchCandles();
 
-            // Get data from Binance
-            const candles = await this.binanceAPI.fetchKlines(this.config.symbol, '1h', 720); // 30 días * 24 horas
+            if (candles.length === 0) {
+                throw new Error('No candles returned for the selected period');
+            }
             
             console.log(`✅ Data obtained: ${candles.length} candles`);
             console.log(`📅 Date range:`);
@@ -131,6 +621,27 @@ class BacktestingApp {
             // Show basic statistics
             this.showBasicStats(candles);
 
+            const referenceCandles = await this.fetchReferenceCandles(this.config.symbol, candles);
+            this.backtestEngine.strategy.setReferenceCandles(referenceCandles);
+
+            if (this.config.mode === 'optimize') {
+                await this.runOptimization(candles, referenceCandles);
+                console.log('\n🎯 Optimization completed successfully!');
+                return;
+            }
+
+            if (this.config.mode === 'walkforward') {
+                await this.runWalkForward(candles, referenceCandles);
+                console.log('\n🎯 Walk-forward analysis completed successfully!');
+                return;
+            }
+
+            if (this.config.mode === 'montecarlo') {
+                await this.runMonteCarlo(candles);
+                console.log('\n🎯 Monte Carlo simulation completed successfully!');
+                return;
+            }
+
             // Run backtesting with strategy
             const backtestResults = await this.backtestEngine.runBacktest(candles, this.config.symbol, this.config, this.config.saveResults);
 
@@ -142,6 +653,247 @@ class BacktestingApp {
         }
     }
 
+    /**
+     * Parses a portfolio allocation: "equal" or "SYMBOL:PERCENT,..."
+     * @param {string} value - Allocation option
+     * @returns {string|Object} 'equal' or weights in % by symbol
+     */
+    parseAllocation(value) {
+        if (value === 'equal') {
+            return value;
+        }
+
+        const allocation = {};
+        for (const entry of value.split(',')) {
+            const [symbol, percent] = entry.split(':');
+            if (!symbol || isNaN(parseFloat(percent))) {
+                console.error(`❌ Invalid allocation "${entry}". Use equal or SYMBOL:PERCENT,... (e.g: BTCUSDT:50,ETHUSDT:50)`);
+                process.exit(1);
+            }
+            allocation[symbol.toUpperCase()] = parseFloat(percent);
+        }
+        return allocation;
+    }
+
+    /**
+     * Checks if several symbols were requested
+     * @returns {boolean} True for a multi-symbol portfolio
+     */
+    isPortfolio() {
+        return this.config.symbols.length > 1;
+    }
+
+    /**
+     * Fetches the candles of every symbol and runs the portfolio backtest
+     * @returns {Promise<Object>} Portfolio results
+     */
+    async runPortfolio() {
+        if (this.config.mode !== 'backtest') {
+            throw new Error(`The ${this.config.mode} command only supports a single symbol`);
+        }
+
+        if (this.config.dataFile && !this.config.dataFile.includes('{symbol}')) {
+            throw new Error('A portfolio loaded from files needs a {symbol} placeholder in --data (e.g: --data=./data/{symbol}.csv)');
+        }
+
+        const portfolio = new PortfolioEngine(this.config.symbols, this.config, {
+            allocation: this.config.allocation,
+            maxPositions: this.config.maxPositions
+        });
+
+        const candlesBySymbol = {};
+        const referenceCandlesBySymbol = {};
+        for (const symbol of this.config.symbols) {
+            this.dataSource.validateSymbol(symbol);
+            const candles = await this.fetchCandles(symbol);
+
+            if (candles.length === 0) {
+                throw new Error(`No candles returned for ${symbol} in the selected period`);
+            }
+
+            console.log(`✅ ${symbol}: ${candles.length} candles (${DateUtils.formatDate(candles[0].openTime)} → ${DateUtils.formatDate(candles[candles.length - 1].openTime)})`);
+            candlesBySymbol[symbol] = candles;
+            referenceCandlesBySymbol[symbol] = await this.fetchReferenceCandles(symbol, candles);
+        }
+
+        return portfolio.runBacktest(candlesBySymbol, this.config.saveResults, referenceCandlesBySymbol);
+    }
+
+    /**
+     * Runs the parameter grid search on the fetched candles
+     * @param {Array} candles - Array of candles
+     * @param {Object} referenceCandles - Higher-timeframe klines by interval needed by the strategy
+     * @returns {Promise<Array>} Ranked optimization results
+     */
+    async runOptimization(candles, referenceCandles = {}) {
+        const optimizer = new Optimizer(this.config, this.config.objective);
+        const grid = optimizer.buildGrid(this.config.ranges);
+
+        console.log(`\n🔧 Optimizing ${grid.length} parameter combinations (objective: ${this.config.objective})...`);
+
+        const signals = optimizer.detectSignals(candles, referenceCandles);
+        const results = optimizer.run(candles, signals, grid);
+
+        optimizer.showTable(results, this.config.top);
+
+        if (this.config.saveResults) {
+            await this.backtestEngine.exporter.exportOptimization(results, this.config.symbol, candles, this.config, this.config.objective);
+        }
+
+        return results;
+    }
+
+    /**
+     * Runs the walk-forward analysis on the fetched candles
+     * @param {Array} candles - Array of candles
+     * @param {Object} referenceCandles - Higher-timeframe klines by interval needed by the strategy
+     * @returns {Promise<Object>} Walk-forward results
+     */
+    async runWalkForward(candles, referenceCandles = {}) {
+        const analyzer = new WalkForwardAnalyzer(this.config, this.config.objective, {
+            inSampleDays: this.config.inSampleDays,
+            outOfSampleDays: this.config.outOfSampleDays
+        });
+
+        const analysis = analyzer.run(candles, this.config.ranges, referenceCandles);
+        analyzer.showReport(analysis);
+
+        if (this.config.saveResults) {
+            await this.backtestEngine.exporter.exportWalkForward(analysis, this.config.symbol, candles, this.config);
+        }
+
+        return analysis;
+    }
+
+    /**
+     * Runs the backtest silently and resamples its trades with Monte Carlo
+     * @param {Array} candles - Array of candles
+     * @returns {Promise<Object>} Monte Carlo results
+     */
+    async runMonteCarlo(candles) {
+        const engine = this.backtestEngine;
+        const monteCarlo = new MonteCarloSimulator({
+            iterations: this.config.iterations,
+            method: this.config.monteCarloMethod,
+            ruinPercent: this.config.ruinPercent,
+            seed: this.config.seed
+        });
+
+        console.log('\n🔄 Simulating trades...');
+        const signals = engine.strategy.processCandles(candles, engine.strategy.params);
+        engine.signals = signals;
+        await engine.loadIntrabarCandles(candles, this.config.symbol);
+        const { trades, tradingStats } = engine.runSimulation(candles, signals);
+        engine.showFinalStats();
+
+        const analysis = monteCarlo.run(trades, this.config.capital);
+        monteCarlo.showReport(analysis, this.config.capital);
+
+        if (this.config.saveResults) {
+            await engine.exporter.exportMonteCarlo(analysis, tradingStats, this.config.symbol, candles, this.config);
+        }
+
+        return analysis;
+    }
+
+    /**
+     * Fetches the candles for the configured period
+     * @param {string} symbol - Trading pair symbol (default: configured symbol)
+     * @returns {Promise<Array>} Array of candles
+     */
+    async fetchCandles(symbol = this.config.symbol) {
+        const { from, to } = this.config;
+
+        const startTime = from ? DateUtils.parseDate(from) : null;
+        const endTime = to ? DateUtils.parseDate(to, true) : null;
+
+        if (startTime !== null && endTime !== null && startTime >= endTime) {
+            throw new Error('--from must be before --to');
+        }
+
+        if (from || to) {
+            console.log(`📅 Fetching data from ${from || 'the beginning'} to ${to || 'now'}...`);
+        } else if (this.dataSource.name === 'binance') {
+            console.log(`📅 Fetching data from the last 30 days...`);
+        }
+
+        const candles = await this.dataSource.getCandles({ symbol, interval: this.config.interval, startTime, endTime });
+
+        if (this.dataSource.name === 'file') {
+            this.checkFileInterval(candles);
+        }
+
+        return candles;
+    }
+
+    /**
+     * Fetches the higher-timeframe klines the strategy builds its levels from (e.g: daily or weekly levels)
+     * @param {string} symbol - Trading pair symbol
+     * @param {Array} candles - Entry candles
+     * @returns {Promise<Object>} Candles by interval (empty when the strategy needs none)
+     */
+    async fetchReferenceCandles(symbol, candles) {
+        const intervals = this.backtestEngine.strategy.getReferenceIntervals();
+        const referenceCandles = {};
+
+        if (intervals.length === 0) {
+            return referenceCandles;
+        }
+        if (this.config.dataFile && !this.config.referenceData) {
+            throw new Error(`The ${this.config.strategy} strategy needs ${intervals.join(', ')} klines: with --data, pass them in --reference-data`);
+        }
+
+        const source = this.config.referenceData ?
+            new FileDataSource(this.config.referenceData, { columns: this.config.columns }) :
+            this.dataSource;
+
+        for (const interval of intervals) {
+            // A few periods before the first candle, so the first period already has levels
+            const startTime = candles[0].openTime - 3 * DateUtils.intervalToMs(interval);
+            const endTime = candles[candles.length - 1].openTime;
+
+            console.log(`📅 Fetching ${interval} klines for the strategy levels...`);
+            referenceCandles[interval] = await source.getCandles({ symbol, interval, startTime, endTime });
+        }
+
+        return referenceCandles;
+    }
+
+    /**
+     * Warns when the time closure is not a whole number of candles
+     * (time exits happen at candle closes, so the holding time is rounded up)
+     */
+    checkTimeClosure() {
+        const intervalHours = DateUtils.intervalToMs(this.config.interval) / (60 * 60 * 1000);
+        const candlesHeld = Math.ceil(MathUtils.round(this.config.maxHours / intervalHours, 6));
+
+        if (candlesHeld * intervalHours !== this.config.maxHours) {
+            console.warn(`⚠️  ${this.config.maxHours}h is not a multiple of the ${this.config.interval} interval: trades close by time after ${MathUtils.round(Math.max(1, candlesHeld) * intervalHours, 2)}h`);
+        }
+        if (intervalHours > 24 && this.config.strategy === 'breakout') {
+            console.warn(`⚠️  ${this.config.interval} candles are longer than a day: daily levels come from the previous candle`);
+        }
+        if (intervalHours > 1 && this.config.strategy === 'breakout' && this.config.strategyParams.levels === 'session') {
+            console.warn(`⚠️  Session ranges are built from whole ${this.config.interval} candles: use 1h or lower to follow the session windows`);
+        }
+    }
+
+    /**
+     * Warns when the candles of a data file do not match the selected interval
+     * @param {Array} candles - Candles loaded from the file
+     */
+    checkFileInterval(candles) {
+        let step = Infinity;
+        for (let i = 1; i < candles.length; i++) {
+            step = Math.min(step, candles[i].openTime - candles[i - 1].openTime);
+        }
+
+        if (isFinite(step) && step !== DateUtils.intervalToMs(this.config.interval)) {
+            const detected = DateUtils.getIntervals().find(interval => DateUtils.intervalToMs(interval) === step);
+            console.warn(`⚠️  The data file has ${detected || `${MathUtils.round(step / 60000, 2)}m`} candles but --interval is ${this.config.interval}`);
+        }
+    }
+
     /**
      * Shows basic statistics of the obtained data
      * @param {Array} candles - Array of candles
@@ -0,0 +1,78 @@
+import Indicator from './indicator.js';
+
+class ADX extends Indicator {
+    static indicatorName = 'ADX';
+
+    /**
+     * Average Directional Index with the directional indicators (Wilder's smoothing)
+     * @param {number} period - Number of candles (default: 14)
+     */
+    constructor(period = 14) {
+        super(period);
+        this.previous = null;
+        this.count = 0;
+        this.trueRange = 0;
+        this.plusDM = 0;
+        this.minusDM = 0;
+        this.dxCount = 0;
+        this.adx = 0;
+    }
+
+    /**
+     * Updates the index with a closed candle
+     * @param {Object} candle - Candle
+     * @returns {Object|null} Trend strength ({ adx, plusDI, minusDI }), available after 2 × period candles
+     */
+    update(candle) {
+        const previous = this.previous;
+        this.previous = candle;
+        if (!previous) {
+            return this.value;
+        }
+
+        const upMove = candle.high - previous.high;
+        const downMove = previous.low - candle.low;
+        const plusDM = upMove > downMove && upMove > 0 ? upMove : 0;
+        const minusDM = downMove > upMove && downMove > 0 ? downMove : 0;
+        const trueRange = Math.max(
+            candle.high - candle.low,
+            Math.abs(candle.high - previous.close),
+            Math.abs(candle.low - previous.close)
+        );
+
+        // Smoothed sums: plain sums of the first period, then Wilder's smoothing
+        this.count++;
+        if (this.count <= this.period) {
+            this.trueRange += trueRange;
+            this.plusDM += plusDM;
+            this.minusDM += minusDM;
+            if (this.count < this.period) {
+                return this.value;
+            }
+        } else {
+            this.trueRange = this.trueRange - this.trueRange / this.period + trueRange;
+            this.plusDM = this.plusDM - this.plusDM / this.period + plusDM;
+            this.minusDM = this.minusDM - this.minusDM / this.period + minusDM;
+        }
+
+        const plusDI = this.trueRange > 0 ? (this.plusDM / this.trueRange) * 100 : 0;
+        const minusDI = this.trueRange > 0 ? (this.minusDM / this.trueRange) * 100 : 0;
+        const dx = plusDI + minusDI > 0 ? (Math.abs(plusDI - minusDI) / (plusDI + minusDI)) * 100 : 0;
+
+        // ADX: average of the first `period` DX values, then Wilder's smoothing
+        this.dxCount++;
+        if (this.dxCount <= this.period) {
+            this.adx += dx / this.period;
+            if (this.dxCount < this.period) {
+                return this.value;
+            }
+        } else {
+            this.adx = (this.adx * (this.period - 1) + dx) / this.period;
+        }
+
+        this.value = { adx: this.adx, plusDI, minusDI };
+        return this.value;
+    }
+}
+
+export default ADX;
@@ -0,0 +1,45 @@
+import Indicator from './indicator.js';
+
+class ATR extends Indicator {
+    static indicatorName = 'ATR';
+
+    /**
+     * Average True Range (Wilder's smoothing)
+     * @param {number} period - Number of candles (default: 14)
+     */
+    constructor(period = 14) {
+        super(period);
+        this.previousClose = null;
+        this.count = 0;
+        this.trSum = 0;
+    }
+
+    /**
+     * Updates the average with a closed candle
+     * @param {Object} candle - Candle
+     * @returns {number|null} ATR in price units
+     */
+    update(candle) {
+        const previousClose = this.previousClose !== null ? this.previousClose : candle.close;
+        const trueRange = Math.max(
+            candle.high - candle.low,
+            Math.abs(candle.high - previousClose),
+            Math.abs(candle.low - previousClose)
+        );
+        this.previousClose = candle.close;
+        this.count++;
+
+        if (this.count <= this.period) {
+            this.trSum += trueRange;
+            if (this.count === this.period) {
+                this.value = this.trSum / this.period;
+            }
+        } else {
+            this.value = (this.value * (this.period - 1) + trueRange) / this.period;
+        }
+
+        return this.value;
+    }
+}
+
+export default ATR;
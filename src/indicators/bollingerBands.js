@@ -0,0 +1,56 @@
+import Indicator from './indicator.js';
+
+class BollingerBands extends Indicator {
+    static indicatorName = 'BB';
+
+    /**
+     * Bollinger Bands of the close
+     * @param {number} period - Number of candles of the middle band (default: 20)
+     * @param {number} stdDev - Standard deviations between the middle and outer bands (default: 2)
+     */
+    constructor(period = 20, stdDev = 2) {
+        super(period);
+        if (!(stdDev > 0)) {
+            throw new Error('Bollinger Bands standard deviations must be above 0');
+        }
+        this.stdDev = stdDev;
+        this.window = [];
+    }
+
+    /**
+     * Updates the bands with a closed candle
+     * @param {Object} candle - Candle
+     * @returns {Object|null} Bands ({ middle, upper, lower, width: band width in % of the middle band })
+     */
+    update(candle) {
+        this.window.push(candle.close);
+        if (this.window.length > this.period) {
+            this.window.shift();
+        }
+        if (this.window.length < this.period) {
+            return this.value;
+        }
+
+        const middle = this.window.reduce((sum, close) => sum + close, 0) / this.period;
+        const variance = this.window.reduce((sum, close) => sum + (close - middle) ** 2, 0) / this.period;
+        const deviation = Math.sqrt(variance) * this.stdDev;
+
+        this.value = {
+            middle,
+            upper: middle + deviation,
+            lower: middle - deviation,
+            width: middle !== 0 ? (deviation * 2 / middle) * 100 : 0
+        };
+        return this.value;
+    }
+
+    /**
+     * Describes the indicator
+     * @returns {string} Name, period and deviations (e.g: "BB(20, 2)")
+     */
+    describe() {
+        return `${BollingerBands.indicatorName}(${this.period}, ${this.stdDev})`;
+    }
+}
+
+export default BollingerBands;
@@ -0,0 +1,37 @@
+import Indicator from './indicator.js';
+
+class EMA extends Indicator {
+    static indicatorName = 'EMA';
+
+    /**
+     * Exponential moving average of the close (seeded with the SMA of the first `period` closes)
+     * @param {number} period - Number of candles (default: 20)
+     */
+    constructor(period = 20) {
+        super(period);
+        this.multiplier = 2 / (period + 1);
+        this.count = 0;
+        this.sum = 0;
+    }
+
+    /**
+     * Updates the average with a closed candle
+     * @param {Object} candle - Candle
+     * @returns {number|null} Exponential average
+     */
+    update(candle) {
+        this.count++;
+
+        if (this.count < this.period) {
+            this.sum += candle.close;
+        } else if (this.count === this.period) {
+            this.value = (this.sum + candle.close) / this.period;
+        } else {
+            this.value = (candle.close - this.value) * this.multiplier + this.value;
+        }
+
+        return this.value;
+    }
+}
+
+export default EMA;
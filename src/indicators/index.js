@@ -0,0 +1,33 @@
+import SMA from './sma.js';
+import EMA from './ema.js';
+import RSI from './rsi.js';
+import ATR from './atr.js';
+import BollingerBands from './bollingerBands.js';
+import VWAP from './vwap.js';
+import ADX from './adx.js';
+
+const indicators = {
+    sma: SMA,
+    ema: EMA,
+    rsi: RSI,
+    atr: ATR,
+    bollinger: BollingerBands,
+    vwap: VWAP,
+    adx: ADX
+};
+
+/**
+ * Creates an indicator by name
+ * @param {string} name - Indicator name (sma, ema, rsi, atr, bollinger, vwap, adx)
+ * @param {...*} args - Indicator arguments (e.g: period)
+ * @returns {Indicator} Indicator instance
+ */
+function createIndicator(name, ...args) {
+    const IndicatorClass = indicators[name];
+    if (!IndicatorClass) {
+        throw new Error(`Unknown indicator "${name}". Available: ${Object.keys(indicators).join(', ')}`);
+    }
+    return new IndicatorClass(...args);
+}
+
+export { SMA, EMA, RSI, ATR, BollingerBands, VWAP, ADX, createIndicator };
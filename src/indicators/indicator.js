@@ -0,0 +1,68 @@
+/**
+ * Base class for all indicators.
+ *
+ * Indicators are incremental: update() receives the candles one by one, in time order,
+ * and returns the value after that candle closes (null until there are enough candles).
+ * Strategies can feed them while they walk the candles, so a value never depends on later data.
+ */
+class Indicator {
+    static indicatorName = 'indicator';
+
+    /**
+     * @param {number} period - Number of candles of the indicator (null for indicators without period)
+     */
+    constructor(period = null) {
+        if (period !== null && (!Number.isInteger(period) || period < 1)) {
+            throw new Error(`${this.constructor.indicatorName} period must be a whole number of candles (1 or more)`);
+        }
+        this.period = period;
+        this.value = null;
+    }
+
+    /**
+     * Updates the indicator with a closed candle
+     * @param {Object} candle - Candle (open, high, low, close, volume, openTime)
+     * @returns {*} Indicator value after the candle, or null while it is not available
+     */
+    update(candle) {
+        throw new Error(`Indicator "${this.constructor.indicatorName}" must implement update()`);
+    }
+
+    /**
+     * Checks if the indicator already has a value
+     * @returns {boolean} True once enough candles have been processed
+     */
+    isReady() {
+        return this.value !== null;
+    }
+
+    /**
+     * Describes the indicator
+     * @returns {string} Name and period (e.g: "EMA(200)")
+     */
+    describe() {
+        return this.period === null ? this.constructor.indicatorName : `${this.constructor.indicatorName}(${this.period})`;
+    }
+
+    /**
+     * Calculates the indicator over a whole series of candles
+     * @param {Array} candles - Array of candles ordered by time
+     * @param {...*} args - Constructor arguments (e.g: period)
+     * @returns {Map} Candle open time -> value (missing while the indicator is not available)
+     */
+    static calculate(candles, ...args) {
+        const indicator = new this(...args);
+        const values = new Map();
+
+        for (const candle of candles) {
+            const value = indicator.update(candle);
+            if (value !== null) {
+                values.set(candle.openTime, value);
+            }
+        }
+
+        return values;
+    }
+}
+
+export default Indicator;
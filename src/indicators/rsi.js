@@ -0,0 +1,51 @@
+import Indicator from './indicator.js';
+
+class RSI extends Indicator {
+    static indicatorName = 'RSI';
+
+    /**
+     * Relative Strength Index of the close (Wilder's smoothing)
+     * @param {number} period - Number of candles (default: 14)
+     */
+    constructor(period = 14) {
+        super(period);
+        this.previousClose = null;
+        this.changes = 0;
+        this.avgGain = 0;
+        this.avgLoss = 0;
+    }
+
+    /**
+     * Updates the index with a closed candle
+     * @param {Object} candle - Candle
+     * @returns {number|null} RSI between 0 and 100 (available after `period` price changes)
+     */
+    update(candle) {
+        if (this.previousClose === null) {
+            this.previousClose = candle.close;
+            return this.value;
+        }
+
+        const change = candle.close - this.previousClose;
+        const gain = Math.max(change, 0);
+        const loss = Math.max(-change, 0);
+        this.previousClose = candle.close;
+        this.changes++;
+
+        if (this.changes <= this.period) {
+            this.avgGain += gain / this.period;
+            this.avgLoss += loss / this.period;
+            if (this.changes < this.period) {
+                return this.value;
+            }
+        } else {
+            this.avgGain = (this.avgGain * (this.period - 1) + gain) / this.period;
+            this.avgLoss = (this.avgLoss * (this.period - 1) + loss) / this.period;
+        }
+
+        this.value = this.avgLoss === 0 ? 100 : 100 - 100 / (1 + this.avgGain / this.avgLoss);
+        return this.value;
+    }
+}
+
+export default RSI;
@@ -0,0 +1,45 @@
+import Indicator from './indicator.js';
+
+class SMA extends Indicator {
+    static indicatorName = 'SMA';
+
+    /**
+     * Simple moving average of a candle field
+     * @param {number} period - Number of candles (default: 20)
+     * @param {string} source - Candle field to average (default: close, e.g: volume, trades)
+     */
+    constructor(period = 20, source = 'close') {
+        super(period);
+        this.source = source;
+        this.window = [];
+        this.sum = 0;
+    }
+
+    /**
+     * Updates the average with a closed candle
+     * @param {Object} candle - Candle
+     * @returns {number|null} Average of the field over the last `period` candles
+     */
+    update(candle) {
+        const value = candle[this.source];
+        this.window.push(value);
+        this.sum += value;
+
+        if (this.window.length > this.period) {
+            this.sum -= this.window.shift();
+        }
+
+        this.value = this.window.length === this.period ? this.sum / this.period : null;
+        return this.value;
+    }
+
+    /**
+     * Describes the indicator
+     * @returns {string} Name, period and field when it is not the close (e.g: "SMA(20, volume)")
+     */
+    describe() {
+        return this.source === 'close' ? super.describe() : `${SMA.indicatorName}(${this.period}, ${this.source})`;
+    }
+}
+
+export default SMA;
@@ -0,0 +1,40 @@
+import DateUtils from '../utils/dateUtils.js';
+import Indicator from './indicator.js';
+
+class VWAP extends Indicator {
+    static indicatorName = 'VWAP';
+
+    /**
+     * Volume-weighted average price of the trading day (typical price, reset when a new trading day starts)
+     */
+    constructor() {
+        super(null);
+        this.day = null;
+        this.priceVolume = 0;
+        this.volume = 0;
+    }
+
+    /**
+     * Updates the average with a closed candle
+     * @param {Object} candle - Candle (needs volume)
+     * @returns {number|null} VWAP of the trading day so far (null while the day has no volume)
+     */
+    update(candle) {
+        const day = DateUtils.getDateOnly(candle.openTime);
+        if (day !== this.day) {
+            this.day = day;
+            this.priceVolume = 0;
+            this.volume = 0;
+        }
+
+        const volume = candle.volume || 0;
+        const typicalPrice = (candle.high + candle.low + candle.close) / 3;
+        this.priceVolume += typicalPrice * volume;
+        this.volume += volume;
+
+        this.value = this.volume > 0 ? this.priceVolume / this.volume : null;
+        return this.value;
+    }
+}
+
+export default VWAP;
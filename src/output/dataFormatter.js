@@ -1,4 +1,5 @@
 import DateUtils from '../utils/dateUtils.js';
+import MathUtils from '../utils/mathUtils.js';
 
 class DataFormatter {
     /**
@@ -15,16 +16,26 @@ class DataFormatter {
 
         return {
             symbol: symbol,
+            interval: config.interval || '1h',
+            tradingDay: DateUtils.getTradingDay(),
             startDate: startDate,
             endDate: endDate,
             totalDays: totalDays,
-            strategy: 'breakout',
+            strategy: config.strategy || 'breakout',
+            strategyParams: config.strategyParams || {},
             parameters: {
                 initialCapital: config.capital,
                 leverage: config.leverage,
                 maxHours: config.maxHours,
                 stopLossPercent: config.stopLossPercent,
-                takeProfitPercent: config.takeProfitPercent
+                takeProfitPercent: config.takeProfitPercent,
+                maintenanceMarginPercent: config.maintenanceMarginPercent,
+                costs: config.costs || {},
+                sizing: config.sizing || { model: 'full' },
+                entry: config.entry || { type: 'close' },
+                management: config.management || {},
+                risk: config.risk || {},
+                hedging: Boolean(config.hedging)
             },
             generatedAt: new Date().toISOString()
         };
@@ -46,19 +57,8 @@ class DataFormatter {
                 dailyReturn: result.dailyReturn
             };
 
-            if (result.tradeExecuted && result.trade) {
-                formattedResults[date].trade = {
-                    id: result.trade.id,
-                    direction: result.trade.direction,
-                    entryPrice: result.trade.entryPrice,
-                    exitPrice: result.trade.exitPrice,
-                    exitReason: result.trade.exitReason,
-                    durationHours: result.trade.durationHours,
-                    resultUSD: result.trade.resultUSD,
-                    resultPercent: result.trade.resultPercent,
-                    stopLoss: result.trade.stopLoss,
-                    takeProfit: result.trade.takeProfit
-                };
+            if (result.tradeExecuted && result.trades) {
+                formattedResults[date].trades = result.trades.map(trade => this.formatTrade(trade));
             } else {
                 formattedResults[date].reason = result.reason || 'No breakout detected';
             }
@@ -67,46 +67,271 @@ class DataFormatter {
         return formattedResults;
     }
 
+    /**
+     * Formats a trade for export
+     * @param {Object} trade - Simulated trade
+     * @returns {Object} Formatted trade
+     */
+    formatTrade(trade) {
+        return {
+            id: trade.id,
+            ...(trade.symbol ? { symbol: trade.symbol } : {}),
+            direction: trade.direction,
+            ...(trade.signal && trade.signal.setup ? { setup: trade.signal.setup } : {}),
+            entryTime: new Date(trade.entryTime).toISOString(),
+            exitTime: new Date(trade.exitTime).toISOString(),
+            entryType: trade.entryType,
+            signalPrice: trade.signal ? trade.signal.entryPrice : null,
+            entryPrice: trade.entryPrice,
+            exitPrice: trade.exitPrice,
+            exitReason: trade.exitReason,
+            ambiguousExit: trade.ambiguousExit,
+            durationHours: trade.durationHours,
+            sizingModel: trade.sizingModel,
+            positionSize: trade.positionSize,
+            margin: trade.margin,
+            grossPnL: trade.grossPnL,
+            fees: trade.fees,
+            slippage: trade.slippage,
+            funding: trade.funding,
+            resultUSD: trade.resultUSD,
+            resultPercent: trade.resultPercent,
+            stopLoss: trade.stopLoss,
+            ...(trade.stopType && trade.stopType !== 'SL' ? { finalStop: trade.activeStop, finalStopType: trade.stopType } : {}),
+            takeProfit: trade.takeProfit,
+            ...(trade.targets && trade.targets.length > 1 ? {
+                takeProfits: trade.targets.map(target => ({ price: target.price, fractionPercent: MathUtils.round(target.fraction * 100, 4) }))
+            } : {}),
+            liquidationPrice: trade.liquidationPrice,
+            fills: (trade.fills || []).map(fill => this.formatFill(fill)),
+            ...(trade.signal && trade.signal.confirmation ? { confirmation: this.formatConfirmation(trade.signal.confirmation) } : {}),
+            ...(trade.signal && trade.signal.levels ? {
+                level: {
+                    type: trade.signal.levels,
+                    ...(trade.signal.session ? { session: trade.signal.session } : {}),
+                    date: trade.signal.levelDate,
+                    high: trade.signal.levelHigh,
+                    low: trade.signal.levelLow
+                }
+            } : {})
+        };
+    }
+
+    /**
+     * Formats a fill (partial or final exit) of a trade
+     * @param {Object} fill - Trade fill
+     * @returns {Object} Formatted fill
+     */
+    formatFill(fill) {
+        return {
+            time: new Date(fill.time).toISOString(),
+            reason: fill.reason,
+            ...(fill.target ? { target: fill.target } : {}),
+            price: fill.price,
+            fillPrice: fill.fillPrice,
+            fractionPercent: MathUtils.round(fill.fraction * 100, 4),
+            size: MathUtils.round(fill.size, 2),
+            grossPnL: MathUtils.round(fill.grossPnL, 2),
+            fees: MathUtils.round(fill.fees, 4),
+            slippage: MathUtils.round(fill.slippage, 4),
+            funding: MathUtils.round(fill.funding, 4),
+            resultUSD: MathUtils.round(fill.resultUSD, 2)
+        };
+    }
+
+    /**
+     * Formats the signals whose entry order was not filled
+     * @param {Array} missedSignals - Missed signals from simulator ({ signal, reason, symbol })
+     * @returns {Array} Formatted missed signals
+     */
+    formatMissedSignals(missedSignals = []) {
+        return missedSignals.map(({ signal, reason, symbol }) => ({
+            ...(symbol ? { symbol } : {}),
+            date: signal.date,
+            time: new Date(signal.candle.openTime).toISOString(),
+            direction: signal.direction,
+            ...(signal.setup ? { setup: signal.setup } : {}),
+            signalPrice: signal.entryPrice,
+            orderPrice: signal.orderPrice !== undefined ? signal.orderPrice : signal.entryPrice,
+            reason,
+            ...(signal.confirmation ? { confirmation: this.formatConfirmation(signal.confirmation) } : {})
+        }));
+    }
+
+    /**
+     * Formats the signals blocked by the risk guards
+     * @param {Array} blockedSignals - Blocked signals from simulator ({ signal, guard, reason, symbol })
+     * @returns {Array} Formatted blocked signals
+     */
+    formatBlockedSignals(blockedSignals = []) {
+        return blockedSignals.map(({ signal, guard, reason, symbol }) => ({
+            ...(symbol ? { symbol } : {}),
+            date: signal.date,
+            time: new Date(signal.candle.openTime).toISOString(),
+            direction: signal.direction,
+            ...(signal.setup ? { setup: signal.setup } : {}),
+            signalPrice: signal.entryPrice,
+            guard,
+            reason
+        }));
+    }
+
+    /**
+     * Formats the signals skipped by the trade rules (trades per day, cooldown, previous trade still open)
+     * @param {Array} skippedSignals - Skipped signals from engine ({ signal, reason })
+     * @returns {Array} Formatted skipped signals
+     */
+    formatSkippedSignals(skippedSignals = []) {
+        return skippedSignals.map(({ signal, reason }) => ({
+            date: signal.date,
+            time: new Date(signal.candle.openTime).toISOString(),
+            direction: signal.direction,
+            ...(signal.setup ? { setup: signal.setup } : {}),
+            signalPrice: signal.entryPrice,
+            reason
+        }));
+    }
+
+    /**
+     * Formats the signals rejected by the strategy filters
+     * @param {Array} filteredSignals - Filtered signals from the strategy ({ signal, reason, values, symbol })
+     * @returns {Array} Formatted filtered signals
+     */
+    formatFilteredSignals(filteredSignals = []) {
+        return filteredSignals.map(({ signal, reason, values, symbol }) => ({
+            ...(symbol ? { symbol } : {}),
+            date: signal.date,
+            time: new Date(signal.candle.openTime).toISOString(),
+            direction: signal.direction,
+            ...(signal.setup ? { setup: signal.setup } : {}),
+            signalPrice: signal.entryPrice,
+            reason,
+            indicators: Object.fromEntries(Object.entries(values || {}).map(([name, value]) => [name, value === null ? null : MathUtils.round(value, 4)])),
+            ...(signal.confirmation ? { confirmation: this.formatConfirmation(signal.confirmation) } : {})
+        }));
+    }
+
+    /**
+     * Formats the volume and order flow metrics of a signal candle
+     * @param {Object} confirmation - Metrics from the strategy
+     * @returns {Object} Rounded metrics (null when the candles did not have the data)
+     */
+    formatConfirmation(confirmation) {
+        const round = value => value === null ? null : MathUtils.round(value, 2);
+        return {
+            relativeVolume: round(confirmation.relativeVolume),
+            relativeTrades: round(confirmation.relativeTrades),
+            takerBuyPercent: round(confirmation.takerBuyPercent),
+            takerPressurePercent: round(confirmation.takerPressurePercent)
+        };
+    }
+
     /**
      * Formats statistical summary
      * @param {Object} tradingStats - Statistics from simulator
+     * @param {Array} filteredSignals - Signals rejected by the strategy filters
      * @returns {Object} Formatted summary
      */
-    formatSummary(tradingStats) {
+    formatSummary(tradingStats, filteredSignals = []) {
         return {
             totalTrades: tradingStats.totalTrades,
             winningTrades: tradingStats.winningTrades,
             losingTrades: tradingStats.losingTrades,
+            liquidations: tradingStats.liquidations,
             winRate: tradingStats.winRate,
             totalReturn: tradingStats.totalReturn,
             totalReturnPercent: tradingStats.totalReturnPercent,
             finalBalance: tradingStats.finalBalance,
             avgWin: tradingStats.avgWin,
             avgLoss: tradingStats.avgLoss,
-            maxDrawdown: this.calculateMaxDrawdown(tradingStats),
-            maxDrawdownPercent: this.calculateMaxDrawdownPercent(tradingStats)
+            grossReturn: tradingStats.grossReturn,
+            totalFees: tradingStats.totalFees,
+            totalSlippage: tradingStats.totalSlippage,
+            totalFunding: tradingStats.totalFunding,
+            maxDrawdown: tradingStats.maxDrawdown,
+            maxDrawdownPercent: tradingStats.maxDrawdownPercent,
+            drawdownDurationHours: tradingStats.drawdownDurationHours,
+            timeToRecoveryHours: tradingStats.timeToRecoveryHours,
+            ambiguousCandles: tradingStats.ambiguousCandles,
+            ambiguousStopFirst: tradingStats.ambiguousStopFirst,
+            ambiguousTargetFirst: tradingStats.ambiguousTargetFirst,
+            ambiguousAssumedStop: tradingStats.ambiguousAssumedStop,
+            ambiguousWithoutData: tradingStats.ambiguousWithoutData,
+            missedSignals: tradingStats.missedSignals,
+            blockedSignals: tradingStats.blockedSignals,
+            filteredSignals: filteredSignals.length,
+            sharpeRatio: tradingStats.sharpeRatio,
+            sortinoRatio: tradingStats.sortinoRatio,
+            calmarRatio: tradingStats.calmarRatio,
+            annualizedReturnPercent: tradingStats.annualizedReturnPercent,
+            profitFactor: tradingStats.profitFactor,
+            expectancy: tradingStats.expectancy,
+            payoffRatio: tradingStats.payoffRatio,
+            largestWin: tradingStats.largestWin,
+            largestLoss: tradingStats.largestLoss,
+            longestWinStreak: tradingStats.longestWinStreak,
+            longestLossStreak: tradingStats.longestLossStreak,
+            avgHoldingHours: tradingStats.avgHoldingHours,
+            exposurePercent: tradingStats.exposurePercent
         };
     }
 
     /**
-     * Calculates maximum drawdown (simplified)
-     * @param {Object} tradingStats - Statistics from simulator
-     * @returns {number} Maximum drawdown in USD
+     * Formats the equity curve
+     * @param {Object} equityCurve - Equity curve from simulator
+     * @returns {Object} Formatted equity curve with ISO dates
      */
-    calculateMaxDrawdown(tradingStats) {
-        // Simplified implementation - in a more advanced version
-        // real drawdown would be calculated based on historical balance
-        return Math.abs(tradingStats.avgLoss) * 3; // Estimation
+    formatEquityCurve(equityCurve) {
+        if (!equityCurve) {
+            return { perTrade: [], perCandle: [] };
+        }
+
+        return {
+            perTrade: equityCurve.perTrade.map(point => ({
+                time: point.time !== null ? new Date(point.time).toISOString() : null,
+                tradeId: point.tradeId,
+                balance: point.balance
+            })),
+            perCandle: equityCurve.perCandle.map(point => ({
+                time: new Date(point.time).toISOString(),
+                openTrades: point.openTrades,
+                balance: point.balance,
+                unrealized: point.unrealized,
+                equity: point.equity
+            }))
+        };
     }
 
     /**
-     * Calculates maximum drawdown in percentage
-     * @param {Object} tradingStats - Statistics from simulator
-     * @returns {number} Maximum drawdown in percentage
+     * Formats an objective score for JSON (Infinity is not valid JSON and would be written as null)
+     * @param {number|null} score - Objective score
+     * @returns {number|string|null} Score, or 'Infinity' for unbounded scores
      */
-    calculateMaxDrawdownPercent(tradingStats) {
-        const maxDrawdown = this.calculateMaxDrawdown(tradingStats);
-        return (maxDrawdown / tradingStats.initialCapital) * 100;
+    formatScore(score) {
+        return score === Infinity ? 'Infinity' : score;
+    }
+
+    /**
+     * Formats optimization runs as CSV (one row per run)
+     * @param {Array} results - Ranked optimization results
+     * @returns {string} CSV content
+     */
+    formatOptimizationCSV(results) {
+        const paramKeys = results.length > 0 ? Object.keys(results[0].params) : [];
+        const statKeys = [
+            'totalTrades', 'winRate', 'totalReturn', 'totalReturnPercent', 'finalBalance',
+            'maxDrawdownPercent', 'sharpeRatio', 'sortinoRatio', 'calmarRatio', 'profitFactor', 'expectancy'
+        ];
+
+        const header = ['rank', ...paramKeys, 'score', ...statKeys];
+        const rows = results.map(result => [
+            result.rank,
+            ...paramKeys.map(key => result.params[key]),
+            result.score,
+            ...statKeys.map(key => result.stats[key])
+        ].map(value => value === null || value === undefined ? '' : value).join(','));
+
+        return [header.join(','), ...rows].join('\n') + '\n';
     }
 
     /**
@@ -1,6 +1,7 @@
 import fs from 'fs/promises';
 import path from 'path';
 import DataFormatter from './dataFormatter.js';
+import DateUtils from '../utils/dateUtils.js';
 
 class ResultsExporter {
     constructor(outputDir = './results') {
@@ -57,7 +58,12 @@ class ResultsExporter {
         return {
             metadata: this.formatter.formatMetadata(symbol, candles, config),
             dailyResults: this.formatter.formatDailyResults(backtestData.dailyResults),
-            summary: this.formatter.formatSummary(backtestData.tradingStats)
+            missedSignals: this.formatter.formatMissedSignals(backtestData.missedSignals),
+            blockedSignals: this.formatter.formatBlockedSignals(backtestData.blockedSignals),
+            skippedSignals: this.formatter.formatSkippedSignals(backtestData.skippedSignals),
+            filteredSignals: this.formatter.formatFilteredSignals(backtestData.filteredSignals),
+            equityCurve: this.formatter.formatEquityCurve(backtestData.equityCurve),
+            summary: this.formatter.formatSummary(backtestData.tradingStats, backtestData.filteredSignals)
         };
     }
 
@@ -74,6 +80,177 @@ class ResultsExporter {
         return `${symbol}_${startDate}_to_${endDate}.json`;
     }
 
+    /**
+     * Exports all runs of a parameter optimization to JSON and CSV files
+     * @param {Array} results - Ranked optimization results
+     * @param {string} symbol - Trading pair symbol
+     * @param {Array} candles - Array of candles
+     * @param {Object} config - Backtesting configuration
+     * @param {string} objective - Objective used to rank the runs
+     * @returns {Promise<Object>} Paths of generated files ({ json, csv })
+     */
+    async exportOptimization(results, symbol, candles, config, objective) {
+        try {
+            const basename = this.generateFilename(symbol, candles).replace('.json', '_optimization');
+            const jsonPath = path.join(this.outputDir, `${basename}.json`);
+            const csvPath = path.join(this.outputDir, `${basename}.csv`);
+
+            const data = {
+                metadata: {
+                    ...this.formatter.formatMetadata(symbol, candles, config),
+                    mode: 'optimize',
+                    objective,
+                    totalRuns: results.length
+                },
+                runs: results.map(result => ({
+                    rank: result.rank,
+                    params: result.params,
+                    score: this.formatter.formatScore(result.score),
+                    summary: this.formatter.formatSummary(result.stats)
+                }))
+            };
+
+            await this.ensureOutputDir();
+            await fs.writeFile(jsonPath, JSON.stringify(data, null, 2), 'utf8');
+            await fs.writeFile(csvPath, this.formatter.formatOptimizationCSV(results), 'utf8');
+
+            console.log(`✅ Optimization exported to: ${jsonPath} and ${csvPath}`);
+            return { json: jsonPath, csv: csvPath };
+
+        } catch (error) {
+            console.error('❌ Optimization export error:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Exports a walk-forward analysis to a JSON file
+     * @param {Object} analysis - Walk-forward results
+     * @param {string} symbol - Trading pair symbol
+     * @param {Array} candles - Array of candles
+     * @param {Object} config - Backtesting configuration
+     * @returns {Promise<string>} Path of generated file
+     */
+    async exportWalkForward(analysis, symbol, candles, config) {
+        try {
+            const filename = this.generateFilename(symbol, candles).replace('.json', '_walkforward.json');
+            const filepath = path.join(this.outputDir, filename);
+
+            const data = {
+                metadata: {
+                    ...this.formatter.formatMetadata(symbol, candles, config),
+                    mode: 'walkforward',
+                    objective: config.objective,
+                    inSampleDays: config.inSampleDays,
+                    outOfSampleDays: config.outOfSampleDays
+                },
+                windows: analysis.windows.map(window => ({
+                    ...window,
+                    inSample: { ...window.inSample, score: this.formatter.formatScore(window.inSample.score) },
+                    outOfSample: { ...window.outOfSample, score: this.formatter.formatScore(window.outOfSample.score) }
+                })),
+                equityCurve: this.formatter.formatEquityCurve({ perTrade: [], perCandle: analysis.equityCurve.perCandle }).perCandle,
+                summary: analysis.summary
+            };
+
+            await this.ensureOutputDir();
+            await fs.writeFile(filepath, JSON.stringify(data, null, 2), 'utf8');
+
+            console.log(`✅ Walk-forward exported to: ${filepath}`);
+            return filepath;
+
+        } catch (error) {
+            console.error('❌ Walk-forward export error:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Exports a Monte Carlo simulation to a JSON file
+     * @param {Object} analysis - Monte Carlo results
+     * @param {Object} tradingStats - Statistics of the original backtest
+     * @param {string} symbol - Trading pair symbol
+     * @param {Array} candles - Array of candles
+     * @param {Object} config - Backtesting configuration
+     * @returns {Promise<string>} Path of generated file
+     */
+    async exportMonteCarlo(analysis, tradingStats, symbol, candles, config) {
+        try {
+            const filename = this.generateFilename(symbol, candles).replace('.json', '_montecarlo.json');
+            const filepath = path.join(this.outputDir, filename);
+
+            const data = {
+                metadata: {
+                    ...this.formatter.formatMetadata(symbol, candles, config),
+                    mode: 'montecarlo',
+                    monteCarlo: analysis.settings
+                },
+                backtest: this.formatter.formatSummary(tradingStats),
+                distribution: {
+                    finalBalance: analysis.finalBalance,
+                    totalReturnPercent: analysis.totalReturnPercent,
+                    maxDrawdownPercent: analysis.maxDrawdownPercent
+                },
+                probabilityOfProfit: analysis.probabilityOfProfit,
+                probabilityOfRuin: analysis.probabilityOfRuin,
+                lossProbabilities: analysis.lossProbabilities
+            };
+
+            await this.ensureOutputDir();
+            await fs.writeFile(filepath, JSON.stringify(data, null, 2), 'utf8');
+
+            console.log(`✅ Monte Carlo exported to: ${filepath}`);
+            return filepath;
+
+        } catch (error) {
+            console.error('❌ Monte Carlo export error:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Exports a multi-symbol portfolio backtest to a JSON file
+     * @param {Object} results - Portfolio results
+     * @param {Array} symbols - Trading pair symbols
+     * @param {Array} candles - Candles of the first symbol (period of the backtest)
+     * @param {Object} config - Backtesting configuration
+     * @returns {Promise<string>} Path of generated file
+     */
+    async exportPortfolio(results, symbols, candles, config) {
+        try {
+            const filename = this.generateFilename(symbols.join('-'), candles).replace('.json', '_portfolio.json');
+            const filepath = path.join(this.outputDir, filename);
+
+            const { symbol, ...metadata } = this.formatter.formatMetadata(symbols.join(','), candles, config);
+            const data = {
+                metadata: {
+                    ...metadata,
+                    mode: 'portfolio',
+                    symbols,
+                    allocation: config.allocation || 'equal',
+                    maxPositions: config.maxPositions || symbols.length
+                },
+                summary: this.formatter.formatSummary(results.tradingStats, results.filteredSignals),
+                symbols: results.symbols,
+                trades: results.trades.map(trade => this.formatter.formatTrade(trade)),
+                missedSignals: this.formatter.formatMissedSignals(results.missedSignals),
+                blockedSignals: this.formatter.formatBlockedSignals(results.blockedSignals),
+                filteredSignals: this.formatter.formatFilteredSignals(results.filteredSignals),
+                equityCurve: this.formatter.formatEquityCurve(results.equityCurve)
+            };
+
+            await this.ensureOutputDir();
+            await fs.writeFile(filepath, JSON.stringify(data, null, 2), 'utf8');
+
+            console.log(`✅ Portfolio exported to: ${filepath}`);
+            return filepath;
+
+        } catch (error) {
+            console.error('❌ Portfolio export error:', error.message);
+            throw error;
+        }
+    }
+
     /**
      * Ensures the output directory exists
      */
@@ -88,13 +265,12 @@ class ResultsExporter {
     }
 
     /**
-     * Gets only the date from a timestamp
+     * Gets the trading day of a timestamp (same day boundary as the backtest)
      * @param {number} timestamp - Timestamp in milliseconds
      * @returns {string} Date in YYYY-MM-DD format
      */
     getDateOnly(timestamp) {
-        const date = new Date(timestamp);
-        return date.toISOString().split('T')[0];
+        return DateUtils.getDateOnly(timestamp);
     }
 
     /**
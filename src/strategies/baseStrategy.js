@@ -0,0 +1,165 @@
+/**
+ * Base class for all strategies.
+ *
+ * Contract:
+ *   - static strategyName: unique name used by --strategy
+ *   - static description: short description shown in the help
+ *   - static paramSchema: { paramName: { type, default, description, values? } }
+ *     (type: 'number' | 'boolean' | 'string'; `values` restricts accepted strings)
+ *   - processCandles(candles, params): returns an array of signals with
+ *     { date, time, type, direction, entryPrice, reason, candle } and optionally orderPrice
+ *     (price of stop/limit entry orders, e.g: the broken level; entryPrice when missing)
+ *   - getSignalsStats(signals): returns statistics of the detected signals
+ *   - getFilteredSignals(): optional signals rejected by the strategy filters during the last
+ *     processCandles() call, as { signal, reason, values } (see recordFilteredSignal())
+ *   - getTradeRules(): optional limits applied by the engine when the signals are traded
+ *     ({ maxTradesPerDay, reentry, cooldownCandles }, one trade per day by default)
+ *   - getReferenceIntervals(): optional higher timeframes (e.g: ['1d']) whose klines are
+ *     fetched separately and handed over with setReferenceCandles() before processCandles()
+ */
+class BaseStrategy {
+    static strategyName = 'base';
+    static description = '';
+    static paramSchema = {};
+
+    /**
+     * @param {Object} params - Strategy parameters (missing values take schema defaults)
+     */
+    constructor(params = {}) {
+        this.params = this.constructor.resolveParams(params);
+        this.referenceCandles = {};
+        this.filteredSignals = [];
+    }
+
+    /**
+     * Gets the strategy name
+     * @returns {string} Strategy name
+     */
+    get name() {
+        return this.constructor.strategyName;
+    }
+
+    /**
+     * Applies defaults and validates parameters against the schema
+     * @param {Object} params - Raw parameters (strings from the CLI are converted)
+     * @returns {Object} Resolved parameters
+     */
+    static resolveParams(params = {}) {
+        const resolved = {};
+
+        for (const [key, definition] of Object.entries(this.paramSchema)) {
+            const value = params[key] !== undefined ? params[key] : definition.default;
+            resolved[key] = this.parseParam(key, value, definition);
+        }
+
+        const unknown = Object.keys(params).filter(key => !(key in this.paramSchema));
+        if (unknown.length > 0) {
+            throw new Error(`Unknown parameter(s) for strategy "${this.strategyName}": ${unknown.join(', ')}`);
+        }
+
+        return resolved;
+    }
+
+    /**
+     * Converts and validates a single parameter value
+     * @param {string} key - Parameter name
+     * @param {*} value - Raw value
+     * @param {Object} definition - Schema definition
+     * @returns {*} Parsed value
+     */
+    static parseParam(key, value, definition) {
+        if (value === null || value === undefined) {
+            return value;
+        }
+
+        switch (definition.type) {
+            case 'number': {
+                const number = typeof value === 'number' ? value : parseFloat(value);
+                if (isNaN(number)) {
+                    throw new Error(`Parameter "${key}" must be a number`);
+                }
+                return number;
+            }
+            case 'boolean':
+                if (typeof value === 'boolean') return value;
+                if (value === 'true' || value === '') return true;
+                if (value === 'false') return false;
+                throw new Error(`Parameter "${key}" must be true or false`);
+            default: {
+                const string = String(value);
+                if (definition.values && !definition.values.includes(string)) {
+                    throw new Error(`Parameter "${key}" must be one of: ${definition.values.join(', ')}`);
+                }
+                return string;
+            }
+        }
+    }
+
+    /**
+     * Gets the higher timeframes the strategy needs besides the entry candles
+     * @returns {Array} Binance intervals (e.g: ['1d', '1w']), empty by default
+     */
+    getReferenceIntervals() {
+        return [];
+    }
+
+    /**
+     * Gets the limits the engine applies when the signals are traded
+     * @returns {Object} Rules ({ maxTradesPerDay, reentry: 'off' | 'opposite', cooldownCandles })
+     */
+    getTradeRules() {
+        return { maxTradesPerDay: 1, reentry: 'off', cooldownCandles: 0 };
+    }
+
+    /**
+     * Sets the higher-timeframe klines requested by getReferenceIntervals()
+     * @param {Object} referenceCandles - Candles by interval (e.g: { '1d': [...] })
+     */
+    setReferenceCandles(referenceCandles = {}) {
+        this.referenceCandles = referenceCandles;
+    }
+
+    /**
+     * Processes all candles and detects trading signals
+     * @param {Array} candles - Array of candles
+     * @param {Object} params - Strategy parameters
+     * @returns {Array} Array of detected signals
+     */
+    processCandles(candles, params = this.params) {
+        throw new Error(`Strategy "${this.name}" must implement processCandles()`);
+    }
+
+    /**
+     * Records a signal rejected by a filter
+     * @param {Object} signal - Rejected signal
+     * @param {string} reason - Why it was rejected (e.g: "LONG below EMA(200)")
+     * @param {Object} values - Indicator values when the signal was rejected (e.g: { 'EMA(200)': 61234.5 })
+     */
+    recordFilteredSignal(signal, reason, values = {}) {
+        this.filteredSignals.push({ signal, reason, values });
+    }
+
+    /**
+     * Gets the signals rejected by the filters in the last processCandles() call
+     * @returns {Array} Filtered signals ({ signal, reason, values })
+     */
+    getFilteredSignals() {
+        return this.filteredSignals;
+    }
+
+    /**
+     * Gets statistics of detected signals
+     * @param {Array} signals - Array of signals
+     * @returns {Object} Statistics
+     */
+    getSignalsStats(signals) {
+        return {
+            total: signals.length,
+            long: signals.filter(s => s.direction === 'LONG').length,
+            short: signals.filter(s => s.direction === 'SHORT').length,
+            filtered: this.filteredSignals.length
+        };
+    }
+}
+
+export default BaseStrategy;
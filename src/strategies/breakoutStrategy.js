@@ -1,90 +1,595 @@
 import DateUtils from '../utils/dateUtils.js';
 import MathUtils from '../utils/mathUtils.js';
+import BaseStrategy from './baseStrategy.js';
+import { SMA, EMA, RSI, ATR, VWAP, ADX } from '../indicators/index.js';
 
-class BreakoutStrategy {
-    constructor() {
-        this.dailyLevels = {};
+// Reference level types: period used to group candles and kline interval of that period
+const LEVELS = {
+    daily: { period: 'day', interval: '1d' },
+    weekly: { period: 'week', interval: '1w' },
+    monthly: { period: 'month', interval: '1M' }
+};
+
+// Session windows (name:start-end, local time of the trading day timezone)
+const DEFAULT_SESSIONS = 'asia:00:00-08:00,london:07:00-16:00,new-york:13:00-22:00';
+
+// Weekday names accepted by the weekdays parameter (ISO order, 1 = Monday)
+const WEEKDAYS = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'];
+
+// Parameters that are a number of candles
+const PERIOD_PARAMS = ['emaFilter', 'rsiFilter', 'atrFilterPeriod', 'atrMedianCandles', 'adxPeriod', 'volumeAverageCandles'];
+
+class BreakoutStrategy extends BaseStrategy {
+    static strategyName = 'breakout';
+    static description = 'Previous day/week/month or session high/low breakout (continuation and wick fade entries)';
+    static paramSchema = {
+        levels: {
+            type: 'string',
+            default: 'daily',
+            values: [...Object.keys(LEVELS), 'session'],
+            description: 'Reference levels: previous day, week or month high/low, or a session range'
+        },
+        session: {
+            type: 'string',
+            default: 'previous',
+            description: 'Range for --levels=session: previous (last closed session) or a session name (that session of the current day)'
+        },
+        sessions: {
+            type: 'string',
+            default: DEFAULT_SESSIONS,
+            description: 'Session windows as name:HH:mm-HH:mm,... in the trading day timezone'
+        },
+        levelSource: {
+            type: 'string',
+            default: 'candles',
+            values: ['candles', 'klines'],
+            description: 'Build the levels from the entry candles or from daily/weekly/monthly klines'
+        },
+        continuation: {
+            type: 'boolean',
+            default: true,
+            description: 'Trade continuation breakouts (body beyond the level, in the breakout direction)'
+        },
+        fade: {
+            type: 'boolean',
+            default: true,
+            description: 'Trade fade entries (only the wick beyond the level, opposite direction)'
+        },
+        direction: {
+            type: 'string',
+            default: 'both',
+            values: ['both', 'long', 'short'],
+            description: 'Trade LONG and SHORT signals, or only one direction'
+        },
+        entryHours: {
+            type: 'string',
+            default: null,
+            description: 'Only signal candles opening inside HH:mm-HH:mm, in the trading day timezone (e.g: 08:00-20:00)'
+        },
+        weekdays: {
+            type: 'string',
+            default: null,
+            description: 'Only signal candles opening on these weekdays, in the trading day timezone (e.g: mon-fri or mon,wed,fri)'
+        },
+        maxTradesPerDay: {
+            type: 'number',
+            default: 1,
+            description: 'Trades allowed per day (more than 1 takes every new breakout of the levels)'
+        },
+        reentry: {
+            type: 'string',
+            default: 'off',
+            values: ['off', 'opposite'],
+            description: 'opposite: one more trade after a stop loss when the opposite level breaks, even past the daily limit'
+        },
+        cooldownCandles: {
+            type: 'number',
+            default: 0,
+            description: 'Candles to wait after a trade closes before the next one'
+        },
+        emaFilter: {
+            type: 'number',
+            default: null,
+            description: 'Trend filter: LONG only above the EMA of N candles, SHORT only below it'
+        },
+        vwapFilter: {
+            type: 'boolean',
+            default: false,
+            description: 'LONG only above the trading-day VWAP, SHORT only below it'
+        },
+        rsiFilter: {
+            type: 'number',
+            default: null,
+            description: 'RSI period: skip LONG signals when overbought and SHORT signals when oversold'
+        },
+        rsiOverbought: {
+            type: 'number',
+            default: 70,
+            description: 'RSI level above which LONG signals are skipped'
+        },
+        rsiOversold: {
+            type: 'number',
+            default: 30,
+            description: 'RSI level below which SHORT signals are skipped'
+        },
+        atrFilter: {
+            type: 'string',
+            default: 'off',
+            values: ['off', 'above-median', 'below-median'],
+            description: 'Volatility filter: only trade when the ATR is above/below its recent median'
+        },
+        atrFilterPeriod: {
+            type: 'number',
+            default: 14,
+            description: 'ATR period of the volatility filter'
+        },
+        atrMedianCandles: {
+            type: 'number',
+            default: 100,
+            description: 'Candles of ATR history used for the median of the volatility filter'
+        },
+        adxFilter: {
+            type: 'number',
+            default: null,
+            description: 'Minimum ADX (trend strength) to take a signal'
+        },
+        adxPeriod: {
+            type: 'number',
+            default: 14,
+            description: 'ADX period of --adx-filter'
+        },
+        minRelativeVolume: {
+            type: 'number',
+            default: null,
+            description: 'Minimum volume of the signal candle, as a multiple of the average volume (e.g: 1.5)'
+        },
+        minTakerPressure: {
+            type: 'number',
+            default: null,
+            description: 'Minimum taker volume in the signal direction (buys for LONG, sells for SHORT), in % of the candle volume'
+        },
+        minRelativeTrades: {
+            type: 'number',
+            default: null,
+            description: 'Minimum trade count of the signal candle, as a multiple of the average trade count'
+        },
+        volumeAverageCandles: {
+            type: 'number',
+            default: 20,
+            description: 'Previous candles averaged for the relative volume and trade count'
+        }
+    };
+
+    constructor(params = {}) {
+        super(params);
+        this.levels = {};
+        this.sessionLevels = new Map();
+        this.levelType = this.params.levels;
+        this.rules = BreakoutStrategy.createRules(this.params);
+    }
+
+    /**
+     * Applies defaults and validates parameters, including the session settings
+     * @param {Object} params - Raw parameters
+     * @returns {Object} Resolved parameters
+     */
+    static resolveParams(params = {}) {
+        const resolved = super.resolveParams(params);
+
+        if (resolved.levels === 'session') {
+            const names = this.parseSessions(resolved.sessions).map(session => session.name);
+            if (resolved.session !== 'previous' && !names.includes(resolved.session)) {
+                throw new Error(`Unknown session "${resolved.session}". Use previous or one of: ${names.join(', ')}`);
+            }
+            if (resolved.levelSource === 'klines') {
+                throw new Error('Session levels are built from the entry candles (--level-source=candles)');
+            }
+        }
+
+        if (!resolved.continuation && !resolved.fade) {
+            throw new Error('At least one setup must be enabled (continuation or fade)');
+        }
+        this.createRules(resolved);
+
+        for (const key of PERIOD_PARAMS) {
+            if (resolved[key] !== null && (!Number.isInteger(resolved[key]) || resolved[key] < 1)) {
+                throw new Error(`Parameter "${key}" must be a whole number of candles (1 or more)`);
+            }
+        }
+        if (!Number.isInteger(resolved.maxTradesPerDay) || resolved.maxTradesPerDay < 1) {
+            throw new Error('Parameter "maxTradesPerDay" must be a whole number of trades (1 or more)');
+        }
+        if (!Number.isInteger(resolved.cooldownCandles) || resolved.cooldownCandles < 0) {
+            throw new Error('Parameter "cooldownCandles" must be a whole number of candles (0 or more)');
+        }
+        if (!(resolved.rsiOversold >= 0 && resolved.rsiOversold < resolved.rsiOverbought && resolved.rsiOverbought <= 100)) {
+            throw new Error('RSI levels must be between 0 and 100, with rsiOversold below rsiOverbought');
+        }
+        if (resolved.adxFilter !== null && !(resolved.adxFilter > 0 && resolved.adxFilter < 100)) {
+            throw new Error('Parameter "adxFilter" must be an ADX level between 0 and 100');
+        }
+        for (const key of ['minRelativeVolume', 'minRelativeTrades']) {
+            if (resolved[key] !== null && !(resolved[key] > 0)) {
+                throw new Error(`Parameter "${key}" must be a multiple of the average above 0 (e.g: 1.5)`);
+            }
+        }
+        if (resolved.minTakerPressure !== null && !(resolved.minTakerPressure > 0 && resolved.minTakerPressure < 100)) {
+            throw new Error('Parameter "minTakerPressure" must be a % of the candle volume between 0 and 100');
+        }
+
+        return resolved;
+    }
+
+    /**
+     * Parses session windows (e.g: asia:00:00-08:00,london:07:00-16:00)
+     * A window ending before it starts goes past midnight (e.g: sydney:21:00-06:00)
+     * @param {string} definition - Session windows
+     * @returns {Array} Sessions ({ name, start, end } in minutes after midnight)
+     */
+    static parseSessions(definition) {
+        return String(definition).split(',').map(entry => {
+            const match = /^([\w-]+):(\d{1,2}(?::\d{2})?)-(\d{1,2}(?::\d{2})?)$/.exec(entry.trim());
+            if (!match) {
+                throw new Error(`Invalid session "${entry}". Expected name:HH:mm-HH:mm (e.g: asia:00:00-08:00)`);
+            }
+
+            const session = {
+                name: match[1],
+                start: DateUtils.parseTimeOfDay(match[2], 'session start'),
+                end: DateUtils.parseTimeOfDay(match[3], 'session end')
+            };
+            if (session.start === session.end) {
+                throw new Error(`Session "${session.name}" starts and ends at the same time`);
+            }
+            return session;
+        });
+    }
+
+    /**
+     * Builds the entry rules of the parameters (setups, direction, entry hours and weekdays)
+     * @param {Object} params - Strategy parameters
+     * @returns {Object} Rules ({ setups, directions, entryHours: { start, end } or null, weekdays: ISO weekdays or null })
+     */
+    static createRules(params) {
+        const setups = [params.continuation ? 'continuation' : null, params.fade ? 'fade' : null].filter(Boolean);
+        const directions = params.direction === 'both' ? ['LONG', 'SHORT'] : [params.direction.toUpperCase()];
+
+        let entryHours = null;
+        if (params.entryHours !== null) {
+            const match = /^(\d{1,2}(?::\d{2})?)-(\d{1,2}(?::\d{2})?)$/.exec(String(params.entryHours).trim());
+            if (!match) {
+                throw new Error(`Invalid entry hours "${params.entryHours}". Expected HH:mm-HH:mm (e.g: 08:00-20:00)`);
+            }
+            entryHours = {
+                start: DateUtils.parseTimeOfDay(match[1], 'entry hours start'),
+                end: DateUtils.parseTimeOfDay(match[2], 'entry hours end')
+            };
+            if (entryHours.start === entryHours.end) {
+                throw new Error('The entry hours window starts and ends at the same time');
+            }
+        }
+
+        return {
+            setups,
+            directions,
+            entryHours,
+            weekdays: params.weekdays !== null ? this.parseWeekdays(params.weekdays) : null
+        };
     }
 
     /**
-     * Calculates daily levels (high/low) from the previous day for each day
+     * Parses a list of weekdays (e.g: mon-fri, mon,wed,fri or fri-mon)
+     * @param {string} definition - Weekday names or ranges separated by commas
+     * @returns {Array} ISO weekdays (1 = Monday, 7 = Sunday)
+     */
+    static parseWeekdays(definition) {
+        const weekdays = new Set();
+        const getWeekday = name => {
+            const index = WEEKDAYS.indexOf(name.trim().toLowerCase().slice(0, 3));
+            if (index === -1) {
+                throw new Error(`Invalid weekday "${name}". Use ${WEEKDAYS.join(', ')} (e.g: mon-fri)`);
+            }
+            return index + 1;
+        };
+
+        for (const entry of String(definition).split(',')) {
+            const [first, last] = entry.split('-');
+            const start = getWeekday(first);
+            const end = last !== undefined ? getWeekday(last) : start;
+            // Ranges may wrap around the weekend (e.g: fri-mon)
+            for (let day = start; ; day = day % 7 + 1) {
+                weekdays.add(day);
+                if (day === end) {
+                    break;
+                }
+            }
+        }
+
+        return Array.from(weekdays).sort((a, b) => a - b);
+    }
+
+    /**
+     * Checks if a candle is inside the entry hours and weekdays
+     * @param {Object} candle - Signal candle
+     * @returns {boolean} True when signals can be taken on the candle
+     */
+    isEntryTime(candle) {
+        const { entryHours, weekdays } = this.rules;
+        if (!entryHours && !weekdays) {
+            return true;
+        }
+
+        const local = DateUtils.getLocalTime(candle.openTime);
+        if (weekdays && !weekdays.includes(local.weekday)) {
+            return false;
+        }
+        if (entryHours) {
+            // A window ending before it starts goes past midnight (e.g: 22:00-02:00)
+            return entryHours.start < entryHours.end ?
+                local.minutes >= entryHours.start && local.minutes < entryHours.end :
+                local.minutes >= entryHours.start || local.minutes < entryHours.end;
+        }
+        return true;
+    }
+
+    /**
+     * Gets the limits the engine applies when the signals are traded
+     * @returns {Object} Rules ({ maxTradesPerDay, reentry, cooldownCandles })
+     */
+    getTradeRules() {
+        const { maxTradesPerDay, reentry, cooldownCandles } = this.params;
+        return { maxTradesPerDay, reentry, cooldownCandles };
+    }
+
+    /**
+     * Checks if the parameters allow more than one signal per day
+     * @param {Object} params - Strategy parameters
+     * @returns {boolean} True with several trades per day or re-entries
+     */
+    static allowsSeveralSignals(params) {
+        return params.maxTradesPerDay > 1 || params.reentry !== 'off';
+    }
+
+    /**
+     * Gets the higher timeframe fetched for the levels (only when they come from klines)
+     * @returns {Array} Binance intervals
+     */
+    getReferenceIntervals() {
+        return this.params.levelSource === 'klines' && LEVELS[this.params.levels] ? [LEVELS[this.params.levels].interval] : [];
+    }
+
+    /**
+     * Calculates the levels (high/low) of the previous period for each period of the candles
      * @param {Array} candles - Array of candles ordered by time
-     * @returns {Object} Object with levels per day
+     * @param {Object} params - Strategy parameters
+     * @returns {Object} Object with levels per period
      */
-    calculateDailyLevels(candles) {
-        console.log('📊 Calculating daily levels...');
-        
-        // Group candles by day
-        const dailyCandles = DateUtils.groupCandlesByDay(candles);
-        const dates = Object.keys(dailyCandles).sort();
-        
-        this.dailyLevels = {};
-        
-        // For each day, calculate high/low from the previous day
-        for (let i = 0; i < dates.length; i++) {
-            const currentDate = dates[i];
-            const currentDayCandles = dailyCandles[currentDate];
-            
-            // Calculate high/low of the current day
-            const currentHigh = MathUtils.max(currentDayCandles.map(c => c.high));
-            const currentLow = MathUtils.min(currentDayCandles.map(c => c.low));
-            
-            // Get high/low from the previous day (if exists)
-            let previousHigh = null;
-            let previousLow = null;
-            
-            if (i > 0) {
-                const previousDate = dates[i - 1];
-                const previousDayCandles = dailyCandles[previousDate];
-                previousHigh = MathUtils.max(previousDayCandles.map(c => c.high));
-                previousLow = MathUtils.min(previousDayCandles.map(c => c.low));
+    calculateLevels(candles, params = this.params) {
+        const { period, interval } = LEVELS[params.levels];
+        console.log(`📊 Calculating ${params.levels} levels from ${params.levelSource === 'klines' ? `${interval} klines` : 'the entry candles'}...`);
+
+        // High/low of every period, either grouping the entry candles or one kline per period
+        const klines = params.levelSource === 'klines' ? this.referenceCandles[interval] : null;
+        if (params.levelSource === 'klines' && !klines) {
+            throw new Error(`The ${params.levels} levels need ${interval} klines (see getReferenceIntervals)`);
+        }
+
+        const ranges = klines ?
+            klines.map(kline => ({
+                date: new Date(kline.openTime).toISOString().split('T')[0], // Klines follow the UTC day
+                high: kline.high,
+                low: kline.low,
+                closeTime: kline.closeTime
+            })) :
+            Object.values(this.groupRanges(candles, period));
+        const closedRanges = ranges.sort((a, b) => a.closeTime - b.closeTime);
+
+        this.levels = {};
+        this.levelType = params.levels;
+
+        // First candle of each period of the entry candles
+        const periodStarts = new Map();
+        candles.forEach(candle => {
+            const key = DateUtils.getPeriodKey(candle.openTime, period);
+            if (!periodStarts.has(key)) {
+                periodStarts.set(key, candle.openTime);
             }
-            
-            this.dailyLevels[currentDate] = {
-                currentHigh,
-                currentLow,
-                previousHigh,
-                previousLow,
-                candles: currentDayCandles
+        });
+
+        // Levels of each period: high/low of the last period already closed when it starts
+        // (klines follow the UTC day, which may not match the trading day)
+        for (const [key, startTime] of periodStarts) {
+            const closed = closedRanges.filter(range => range.closeTime < startTime);
+            const previous = closed.length > 0 ? closed[closed.length - 1] : null;
+
+            this.levels[key] = {
+                previousHigh: previous ? previous.high : null,
+                previousLow: previous ? previous.low : null,
+                date: previous ? previous.date : null
             };
         }
-        
-        console.log(`✅ Levels calculated for ${dates.length} days`);
-        return this.dailyLevels;
+
+        console.log(`✅ Levels calculated for ${periodStarts.size} ${period}s`);
+        return this.levels;
+    }
+
+    /**
+     * Groups candles by period and gets the high/low of each one
+     * @param {Array} candles - Array of candles
+     * @param {string} period - 'day', 'week' or 'month'
+     * @returns {Object} Ranges by period key ({ date, high, low, closeTime })
+     */
+    groupRanges(candles, period) {
+        const ranges = {};
+
+        candles.forEach(candle => {
+            const key = DateUtils.getPeriodKey(candle.openTime, period);
+            if (!ranges[key]) {
+                ranges[key] = { date: key, high: candle.high, low: candle.low, closeTime: candle.closeTime };
+            } else {
+                ranges[key].high = Math.max(ranges[key].high, candle.high);
+                ranges[key].low = Math.min(ranges[key].low, candle.low);
+                ranges[key].closeTime = Math.max(ranges[key].closeTime, candle.closeTime);
+            }
+        });
+
+        return ranges;
     }
 
     /**
-     * Detects if a candle breaks the levels from the previous day
+     * Calculates the session levels of each candle: the range of the last closed session, or of the
+     * selected session once it has closed (until the end of the trading day it closed in)
+     * @param {Array} candles - Array of candles ordered by time
+     * @param {Object} params - Strategy parameters
+     * @returns {Map} Levels by candle open time
+     */
+    calculateSessionLevels(candles, params = this.params) {
+        const sessions = BreakoutStrategy.parseSessions(params.sessions);
+        console.log(`📊 Calculating session levels (${params.session === 'previous' ? 'previous session' : `${params.session} session of the day`})...`);
+
+        const ranges = this.groupSessionRanges(candles, sessions);
+        this.sessionLevels = new Map();
+        this.levelType = 'session';
+
+        let next = 0;
+        let lastClosed = null;
+        const lastByName = {};
+
+        for (const candle of candles) {
+            // Sessions that ended before this candle opens
+            while (next < ranges.length && ranges[next].endTime <= candle.openTime) {
+                const range = ranges[next++];
+                lastClosed = range.complete ? range : null;
+                lastByName[range.name] = range.complete ? range : null;
+            }
+
+            const range = params.session === 'previous' ? lastClosed : lastByName[params.session];
+            if (!range) {
+                continue;
+            }
+            if (params.session !== 'previous' && range.endTime <= DateUtils.getStartOfDay(candle.openTime)) {
+                continue; // The session of the current day has not closed yet
+            }
+
+            this.sessionLevels.set(candle.openTime, {
+                previousHigh: range.high,
+                previousLow: range.low,
+                date: range.date,
+                session: range.name
+            });
+        }
+
+        console.log(`✅ Levels calculated for ${ranges.filter(range => range.complete).length} sessions`);
+        return this.sessionLevels;
+    }
+
+    /**
+     * Groups candles by session and gets the high/low of each session
+     * @param {Array} candles - Array of candles ordered by time
+     * @param {Array} sessions - Session windows (see parseSessions)
+     * @returns {Array} Session ranges sorted by end time ({ name, date, startTime, endTime, high, low, complete })
+     */
+    groupSessionRanges(candles, sessions) {
+        const ranges = new Map();
+
+        for (const candle of candles) {
+            const local = DateUtils.getLocalTime(candle.openTime);
+
+            for (const session of sessions) {
+                const date = this.getSessionDate(session, local);
+                if (date === null) {
+                    continue;
+                }
+
+                const key = `${session.name}|${date}`;
+                const range = ranges.get(key);
+                if (range) {
+                    range.high = Math.max(range.high, candle.high);
+                    range.low = Math.min(range.low, candle.low);
+                    continue;
+                }
+
+                const startTime = DateUtils.getLocalTimestamp(date, session.start);
+                const endDate = session.end > session.start ? date : DateUtils.addDays(date, 1);
+                ranges.set(key, {
+                    name: session.name,
+                    date,
+                    startTime,
+                    endTime: DateUtils.getLocalTimestamp(endDate, session.end),
+                    high: candle.high,
+                    low: candle.low,
+                    // The data may start in the middle of a session
+                    complete: candle.openTime - startTime <= candle.closeTime - candle.openTime
+                });
+            }
+        }
+
+        return Array.from(ranges.values()).sort((a, b) => a.endTime - b.endTime);
+    }
+
+    /**
+     * Gets the date a session containing a local time started on
+     * @param {Object} session - Session window
+     * @param {Object} local - Local date and minutes after midnight (see DateUtils.getLocalTime)
+     * @returns {string|null} Start date of the session (YYYY-MM-DD) or null outside the session
+     */
+    getSessionDate(session, local) {
+        if (session.start < session.end) {
+            return local.minutes >= session.start && local.minutes < session.end ? local.date : null;
+        }
+        if (local.minutes >= session.start) {
+            return local.date;
+        }
+        return local.minutes < session.end ? DateUtils.addDays(local.date, -1) : null;
+    }
+
+    /**
+     * Gets the levels of the range a candle can break
      * @param {Object} candle - Current candle
-     * @param {number} dailyHigh - High from the previous day
-     * @param {number} dailyLow - Low from the previous day
-     * @returns {Object|null} Breakout information or null if no breakout
+     * @returns {Object|undefined} Levels ({ previousHigh, previousLow, date, session })
      */
-    detectBreakout(candle, dailyHigh, dailyLow) {
-        if (!dailyHigh || !dailyLow) {
-            return null; // No previous day
+    getCandleLevels(candle) {
+        if (this.levelType === 'session') {
+            return this.sessionLevels.get(candle.openTime);
+        }
+        return this.levels[DateUtils.getPeriodKey(candle.openTime, LEVELS[this.levelType].period)];
+    }
+
+    /**
+     * Detects if a candle breaks the levels from the previous period
+     * @param {Object} candle - Current candle
+     * @param {number} levelHigh - High from the previous period
+     * @param {number} levelLow - Low from the previous period
+     * @returns {Object|null} Breakout information (setup: continuation or fade) or null if no breakout
+     */
+    detectBreakout(candle, levelHigh, levelLow) {
+        if (!levelHigh || !levelLow) {
+            return null; // No previous period
         }
 
         const breakout = {
             type: null,
             direction: null,
+            setup: null,
             reason: null,
             entryPrice: candle.close
         };
 
         // Check high breakout
-        if (candle.high > dailyHigh) {
+        if (candle.high > levelHigh) {
             breakout.type = 'BREAKOUT_HIGH';
             
             // Check if the entire body is above the high
-            if (candle.open > dailyHigh && candle.close > dailyHigh) {
+            if (candle.open > levelHigh && candle.close > levelHigh) {
                 breakout.direction = 'LONG';
+                breakout.setup = 'continuation';
                 breakout.reason = 'Body above previous high';
                 breakout.entryPrice = candle.close;
             }
             // Check if the body is below but the wick touches above
-            else if (candle.open < dailyHigh && candle.close < dailyHigh) {
+            else if (candle.open < levelHigh && candle.close < levelHigh) {
                 breakout.direction = 'SHORT';
+                breakout.setup = 'fade';
                 breakout.reason = 'Body below previous high, wick touched above';
                 breakout.entryPrice = candle.close;
             }
@@ -93,18 +598,20 @@ class BreakoutStrategy {
         }
 
         // Check low breakout
-        if (candle.low < dailyLow) {
+        if (candle.low < levelLow) {
             breakout.type = 'BREAKOUT_LOW';
             
             // Check if the entire body is below the low
-            if (candle.open < dailyLow && candle.close < dailyLow) {
+            if (candle.open < levelLow && candle.close < levelLow) {
                 breakout.direction = 'SHORT';
+                breakout.setup = 'continuation';
                 breakout.reason = 'Body below previous low';
                 breakout.entryPrice = candle.close;
             }
             // Check if the body is above but the wick touches below
-            else if (candle.open > dailyLow && candle.close > dailyLow) {
+            else if (candle.open > levelLow && candle.close > levelLow) {
                 breakout.direction = 'LONG';
+                breakout.setup = 'fade';
                 breakout.reason = 'Body above previous low, wick touched below';
                 breakout.entryPrice = candle.close;
             }
@@ -119,12 +626,12 @@ class BreakoutStrategy {
      * Determines the trade direction based on the breakout type
      * @param {string} breakoutType - Breakout type (BREAKOUT_HIGH/BREAKOUT_LOW)
      * @param {Object} candle - Candle that generated the breakout
-     * @param {number} dailyHigh - High from the previous day
-     * @param {number} dailyLow - Low from the previous day
+     * @param {number} levelHigh - High from the previous period
+     * @param {number} levelLow - Low from the previous period
      * @returns {Object|null} Trade information or null
      */
-    determineTradeDirection(breakoutType, candle, dailyHigh, dailyLow) {
-        const breakout = this.detectBreakout(candle, dailyHigh, dailyLow);
+    determineTradeDirection(breakoutType, candle, levelHigh, levelLow) {
+        const breakout = this.detectBreakout(candle, levelHigh, levelLow);
         return breakout;
     }
 
@@ -141,24 +648,35 @@ class BreakoutStrategy {
             return null; // Already have a trade today
         }
 
-        // Get levels from the previous day
-        const dayData = this.dailyLevels[currentDate];
-        if (!dayData || !dayData.previousHigh || !dayData.previousLow) {
-            return null; // No previous day
+        // Entry hours and weekdays
+        if (!this.isEntryTime(candle)) {
+            return null;
+        }
+
+        // Get levels from the previous period or session
+        const levels = this.getCandleLevels(candle);
+        if (!levels || !levels.previousHigh || !levels.previousLow) {
+            return null; // No previous period
         }
 
         // Detect breakout
-        const breakout = this.detectBreakout(candle, dayData.previousHigh, dayData.previousLow);
+        const breakout = this.detectBreakout(candle, levels.previousHigh, levels.previousLow);
         
-        if (breakout && breakout.direction) {
+        // Setups and directions disabled in the parameters do not give signals
+        if (breakout && breakout.direction && this.rules.setups.includes(breakout.setup) && this.rules.directions.includes(breakout.direction)) {
             return {
                 date: currentDate,
                 time: DateUtils.formatDate(candle.openTime),
                 type: breakout.type,
                 direction: breakout.direction,
+                setup: breakout.setup,
                 entryPrice: breakout.entryPrice,
-                dailyHigh: dayData.previousHigh,
-                dailyLow: dayData.previousLow,
+                orderPrice: breakout.type === 'BREAKOUT_HIGH' ? levels.previousHigh : levels.previousLow,
+                levels: this.levelType,
+                levelHigh: levels.previousHigh,
+                levelLow: levels.previousLow,
+                levelDate: levels.date,
+                ...(levels.session ? { session: levels.session } : {}),
                 reason: breakout.reason,
                 candle: candle
             };
@@ -167,39 +685,287 @@ class BreakoutStrategy {
         return null;
     }
 
+    /**
+     * Creates the signal filters enabled in the parameters
+     * Each filter owns an incremental indicator updated with every candle, so a signal only sees
+     * the values known at the close of its candle
+     * @param {Object} params - Strategy parameters
+     * @returns {Array} Filters ({ update(candle), check(signal) -> reason or null, values() })
+     */
+    createFilters(params = this.params) {
+        const filters = [];
+        const isOnTrendSide = (signal, line) => signal.direction === 'LONG' ? signal.entryPrice > line : signal.entryPrice < line;
+
+        // Price on the side of a moving line (EMA, VWAP)
+        const createLineFilter = indicator => ({
+            update: candle => indicator.update(candle),
+            check: signal => {
+                if (!indicator.isReady()) {
+                    return `${indicator.describe()} not available yet`;
+                }
+                return isOnTrendSide(signal, indicator.value) ? null :
+                    `${signal.direction} ${signal.direction === 'LONG' ? 'below' : 'above'} ${indicator.describe()}`;
+            },
+            values: () => ({ [indicator.describe()]: indicator.value })
+        });
+
+        if (params.emaFilter !== null) {
+            filters.push(createLineFilter(new EMA(params.emaFilter)));
+        }
+        if (params.vwapFilter) {
+            filters.push(createLineFilter(new VWAP()));
+        }
+
+        if (params.rsiFilter !== null) {
+            const rsi = new RSI(params.rsiFilter);
+            filters.push({
+                update: candle => rsi.update(candle),
+                check: signal => {
+                    if (!rsi.isReady()) {
+                        return `${rsi.describe()} not available yet`;
+                    }
+                    if (signal.direction === 'LONG' && rsi.value >= params.rsiOverbought) {
+                        return `${rsi.describe()} overbought (${params.rsiOverbought} or more)`;
+                    }
+                    if (signal.direction === 'SHORT' && rsi.value <= params.rsiOversold) {
+                        return `${rsi.describe()} oversold (${params.rsiOversold} or less)`;
+                    }
+                    return null;
+                },
+                values: () => ({ [rsi.describe()]: rsi.value })
+            });
+        }
+
+        if (params.atrFilter !== 'off') {
+            const atr = new ATR(params.atrFilterPeriod);
+            const history = [];
+            const above = params.atrFilter === 'above-median';
+            const getMedian = () => {
+                const sorted = [...history].sort((a, b) => a - b);
+                const middle = Math.floor(sorted.length / 2);
+                return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+            };
+
+            filters.push({
+                update: candle => {
+                    if (atr.update(candle) !== null) {
+                        history.push(atr.value);
+                        if (history.length > params.atrMedianCandles) {
+                            history.shift();
+                        }
+                    }
+                },
+                check: () => {
+                    if (history.length < params.atrMedianCandles) {
+                        return `${atr.describe()} median not available yet`;
+                    }
+                    const median = getMedian();
+                    if (above ? atr.value > median : atr.value < median) {
+                        return null;
+                    }
+                    return `${atr.describe()} ${above ? 'below' : 'above'} its median`;
+                },
+                values: () => ({
+                    [atr.describe()]: atr.value,
+                    [`${atr.describe()} median`]: history.length >= params.atrMedianCandles ? getMedian() : null
+                })
+            });
+        }
+
+        if (params.adxFilter !== null) {
+            const adx = new ADX(params.adxPeriod);
+            filters.push({
+                update: candle => adx.update(candle),
+                check: () => {
+                    if (!adx.isReady()) {
+                        return `${adx.describe()} not available yet`;
+                    }
+                    return adx.value.adx >= params.adxFilter ? null : `${adx.describe()} below ${params.adxFilter}`;
+                },
+                values: () => ({ [adx.describe()]: adx.isReady() ? adx.value.adx : null })
+            });
+        }
+
+        // Volume and order flow confirmation of the signal candle (metrics from getConfirmation())
+        const createConfirmationFilter = getReason => ({
+            update: () => {},
+            check: signal => getReason(signal.confirmation, signal),
+            values: () => ({})
+        });
+
+        if (params.minRelativeVolume !== null) {
+            filters.push(createConfirmationFilter(confirmation => {
+                if (confirmation.relativeVolume === null) {
+                    return 'Average volume not available yet';
+                }
+                return confirmation.relativeVolume >= params.minRelativeVolume ? null : `Relative volume below ${params.minRelativeVolume}x`;
+            }));
+        }
+        if (params.minTakerPressure !== null) {
+            filters.push(createConfirmationFilter((confirmation, signal) => {
+                if (confirmation.takerPressurePercent === null) {
+                    return 'Taker volume not available';
+                }
+                if (confirmation.takerPressurePercent >= params.minTakerPressure) {
+                    return null;
+                }
+                return `Taker ${signal.direction === 'LONG' ? 'buy' : 'sell'} pressure below ${params.minTakerPressure}%`;
+            }));
+        }
+        if (params.minRelativeTrades !== null) {
+            filters.push(createConfirmationFilter(confirmation => {
+                if (confirmation.relativeTrades === null) {
+                    return 'Average trade count not available yet';
+                }
+                return confirmation.relativeTrades >= params.minRelativeTrades ? null : `Trade count below ${params.minRelativeTrades}x the average`;
+            }));
+        }
+
+        return filters;
+    }
+
+    /**
+     * Calculates the volume and order flow metrics of a signal candle
+     * @param {Object} candle - Signal candle
+     * @param {string} direction - Signal direction (LONG/SHORT)
+     * @param {Object} averages - Average volume and trade count of the previous candles ({ volume, trades })
+     * @returns {Object} Metrics ({ relativeVolume, relativeTrades, takerBuyPercent, takerPressurePercent }),
+     *   each one null when the candles do not have its data
+     */
+    getConfirmation(candle, direction, averages) {
+        const hasTakerVolume = BreakoutStrategy.hasValue(candle.takerBuyBaseVolume) && candle.volume > 0;
+        const takerBuyPercent = hasTakerVolume ? (candle.takerBuyBaseVolume / candle.volume) * 100 : null;
+
+        return {
+            relativeVolume: averages.volume > 0 ? candle.volume / averages.volume : null,
+            relativeTrades: averages.trades > 0 && BreakoutStrategy.hasValue(candle.trades) ? candle.trades / averages.trades : null,
+            takerBuyPercent,
+            // Taker volume on the side of the signal: buyers lifting the offer for LONG, sellers hitting the bid for SHORT
+            takerPressurePercent: takerBuyPercent === null ? null : direction === 'LONG' ? takerBuyPercent : 100 - takerBuyPercent
+        };
+    }
+
+    /**
+     * Checks if an optional candle field has a value
+     * @param {*} value - Field value
+     * @returns {boolean} True when the value is not null or undefined
+     */
+    static hasValue(value) {
+        return value !== null && value !== undefined;
+    }
+
+    /**
+     * Checks a signal against the filters
+     * @param {Object} signal - Trading signal
+     * @param {Array} filters - Filters from createFilters()
+     * @returns {string|null} Reason of the first filter rejecting the signal, or null when it passes
+     */
+    applyFilters(signal, filters) {
+        for (const filter of filters) {
+            const reason = filter.check(signal);
+            if (reason) {
+                return reason;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Checks that the candles have the fields needed by the indicator and confirmation filters
+     * @param {Array} candles - Array of candles
+     * @param {Object} params - Strategy parameters
+     */
+    checkCandleData(candles, params) {
+        const required = [
+            { enabled: params.vwapFilter, field: 'volume', option: '--vwap-filter', data: 'volume' },
+            { enabled: params.minRelativeVolume !== null, field: 'volume', option: '--min-relative-volume', data: 'volume' },
+            { enabled: params.minTakerPressure !== null, field: 'takerBuyBaseVolume', option: '--min-taker-pressure', data: 'taker buy volume' },
+            { enabled: params.minRelativeTrades !== null, field: 'trades', option: '--min-relative-trades', data: 'trade counts' }
+        ];
+
+        for (const { enabled, field, option, data } of required) {
+            // Missing columns give null, undefined or 0 (volume) in every candle
+            if (enabled && !candles.some(candle => candle[field] > 0)) {
+                throw new Error(`${option} needs ${data} in the candles (${field}), which the data source did not provide`);
+            }
+        }
+    }
+
     /**
      * Processes all candles and detects trading signals
+     * With one trade per day a signal rejected by the filters still uses the trade of the day (first breakout
+     * takes precedence). With several trades per day or re-entries every new breakout is a signal (a candle
+     * repeating the signal of the previous one is not) and the engine applies the trade rules.
      * @param {Array} candles - Array of candles
+     * @param {Object} params - Strategy parameters
      * @returns {Array} Array of detected signals
      */
-    processCandles(candles) {
+    processCandles(candles, params = this.params) {
         console.log('🔍 Processing candles to detect signals...');
         
-        // Calculate daily levels
-        this.calculateDailyLevels(candles);
+        // Calculate the levels of the previous day/week/month or session
+        if (params.levels === 'session') {
+            this.calculateSessionLevels(candles, params);
+        } else {
+            this.calculateLevels(candles, params);
+        }
         
         const signals = [];
         const dailyTrades = {}; // To control 1 trade per day
+        const severalPerDay = BreakoutStrategy.allowsSeveralSignals(params);
+        let previousKey = null; // Signal of the previous candle (several trades per day)
+        this.rules = BreakoutStrategy.createRules(params);
+        const filters = this.createFilters(params);
+        const volumeAverage = new SMA(params.volumeAverageCandles, 'volume');
+        const tradesAverage = new SMA(params.volumeAverageCandles, 'trades');
+        this.filteredSignals = [];
+        this.checkCandleData(candles, params);
         
         // Process each candle
         for (const candle of candles) {
             const currentDate = DateUtils.getDateOnly(candle.openTime);
+
+            // Indicators see every candle, including days that already have a trade
+            // (volume averages are taken before the candle, which is compared with them)
+            filters.forEach(filter => filter.update(candle));
+            const averages = { volume: volumeAverage.value, trades: tradesAverage.value };
+            volumeAverage.update(candle);
+            if (BreakoutStrategy.hasValue(candle.trades)) {
+                tradesAverage.update(candle);
+            }
             
             // Check if there is already a trade today
-            if (dailyTrades[currentDate]) {
+            if (!severalPerDay && dailyTrades[currentDate]) {
                 continue; // Already have a trade today
             }
             
             // Check if trade should be opened
-            const signal = this.shouldOpenTrade(candle, currentDate, dailyTrades[currentDate] ? [dailyTrades[currentDate]] : []);
+            let signal = this.shouldOpenTrade(candle, currentDate, dailyTrades[currentDate] ? [dailyTrades[currentDate]] : []);
+
+            if (severalPerDay) {
+                // Only new breakouts: not the candles that keep breaking the same level the same way
+                const key = signal ? [signal.type, signal.direction, signal.levelHigh, signal.levelLow].join('|') : null;
+                signal = key !== previousKey ? signal : null;
+                previousKey = key;
+            }
             
             if (signal) {
-                signals.push(signal);
-                dailyTrades[currentDate] = signal; // Mark that there is already a trade today
+                signal.confirmation = this.getConfirmation(candle, signal.direction, averages);
+                const rejection = this.applyFilters(signal, filters);
+                if (rejection) {
+                    const values = filters.reduce((all, filter) => ({ ...all, ...filter.values() }), {});
+                    this.recordFilteredSignal(signal, rejection, values);
+                } else {
+                    signals.push(signal);
+                }
+                if (!severalPerDay) {
+                    dailyTrades[currentDate] = signal; // Mark that there is already a trade today
+                }
             }
         }
         
-        console.log(`✅ ${signals.length} signals detected in total`);
+        const filtered = this.filteredSignals.length > 0 ? ` (${this.filteredSignals.length} filtered out)` : '';
+        console.log(`✅ ${signals.length} signals detected in total${filtered}`);
         return signals;
     }
 
@@ -215,7 +981,10 @@ class BreakoutStrategy {
             short: signals.filter(s => s.direction === 'SHORT').length,
             breakoutHigh: signals.filter(s => s.type === 'BREAKOUT_HIGH').length,
             breakoutLow: signals.filter(s => s.type === 'BREAKOUT_LOW').length,
-            byReason: {}
+            byReason: {},
+            bySetup: {},
+            filtered: this.filteredSignals.length,
+            filteredByReason: {}
         };
 
         // Group by reason
@@ -226,6 +995,20 @@ class BreakoutStrategy {
             stats.byReason[signal.reason]++;
         });
 
+        // Group by setup (continuation / fade)
+        for (const setup of ['continuation', 'fade']) {
+            const setupSignals = signals.filter(signal => signal.setup === setup);
+            stats.bySetup[setup] = {
+                total: setupSignals.length,
+                long: setupSignals.filter(s => s.direction === 'LONG').length,
+                short: setupSignals.filter(s => s.direction === 'SHORT').length
+            };
+        }
+
+        this.filteredSignals.forEach(({ reason }) => {
+            stats.filteredByReason[reason] = (stats.filteredByReason[reason] || 0) + 1;
+        });
+
         return stats;
     }
 }
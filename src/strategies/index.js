@@ -0,0 +1,47 @@
+import BreakoutStrategy from './breakoutStrategy.js';
+
+const registry = new Map();
+
+/**
+ * Registers a strategy class so it can be selected with --strategy
+ * @param {Function} StrategyClass - Class extending BaseStrategy
+ */
+function registerStrategy(StrategyClass) {
+    registry.set(StrategyClass.strategyName, StrategyClass);
+}
+
+/**
+ * Gets a strategy class by name
+ * @param {string} name - Strategy name
+ * @returns {Function} Strategy class
+ */
+function getStrategy(name) {
+    const StrategyClass = registry.get(name);
+    if (!StrategyClass) {
+        throw new Error(`Unknown strategy "${name}". Available: ${listStrategies().map(s => s.strategyName).join(', ')}`);
+    }
+    return StrategyClass;
+}
+
+/**
+ * Creates a strategy instance
+ * @param {string} name - Strategy name
+ * @param {Object} params - Strategy parameters
+ * @returns {BaseStrategy} Strategy instance
+ */
+function createStrategy(name = 'breakout', params = {}) {
+    const StrategyClass = getStrategy(name);
+    return new StrategyClass(params);
+}
+
+/**
+ * Lists all registered strategies
+ * @returns {Array} Strategy classes
+ */
+function listStrategies() {
+    return Array.from(registry.values());
+}
+
+registerStrategy(BreakoutStrategy);
+
+export { registerStrategy, getStrategy, createStrategy, listStrategies };
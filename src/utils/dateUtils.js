@@ -1,22 +1,149 @@
-import moment from 'moment';
+import moment from 'moment-timezone';
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+// Binance kline intervals (1M is approximated as 30 days)
+const INTERVALS = {
+    '1m': MINUTE_MS,
+    '3m': 3 * MINUTE_MS,
+    '5m': 5 * MINUTE_MS,
+    '15m': 15 * MINUTE_MS,
+    '30m': 30 * MINUTE_MS,
+    '1h': HOUR_MS,
+    '2h': 2 * HOUR_MS,
+    '4h': 4 * HOUR_MS,
+    '6h': 6 * HOUR_MS,
+    '8h': 8 * HOUR_MS,
+    '12h': 12 * HOUR_MS,
+    '1d': DAY_MS,
+    '3d': 3 * DAY_MS,
+    '1w': 7 * DAY_MS,
+    '1M': 30 * DAY_MS
+};
+
+// Trading day used to group candles into days: timezone and local time the day starts at
+let tradingDay = { timezone: 'UTC', dayStart: '00:00', dayStartMinutes: 0 };
 
 class DateUtils {
     /**
-     * Converts timestamp to readable date
+     * Sets the timezone and start time of the trading day used by every date calculation
+     * @param {Object} options - Trading day options
+     * @param {string} options.timezone - IANA timezone (e.g: UTC, America/New_York)
+     * @param {string} options.dayStart - Local time the trading day starts at (HH or HH:mm, e.g: 17:00)
+     */
+    static setTradingDay({ timezone = 'UTC', dayStart = '00:00' } = {}) {
+        if (!moment.tz.zone(timezone)) {
+            throw new Error(`Invalid timezone "${timezone}". Use an IANA name such as UTC or America/New_York`);
+        }
+
+        const dayStartMinutes = this.parseTimeOfDay(dayStart, 'day start');
+        tradingDay = { timezone, dayStart: this.formatTimeOfDay(dayStartMinutes), dayStartMinutes };
+    }
+
+    /**
+     * Parses a time of day into minutes after midnight
+     * @param {string} value - Time in HH or HH:mm format (e.g: 17 or 09:30)
+     * @param {string} label - Name of the setting (for error messages)
+     * @returns {number} Minutes after midnight
+     */
+    static parseTimeOfDay(value, label = 'time') {
+        const match = /^(\d{1,2})(?::(\d{2}))?$/.exec(String(value));
+        const hours = match ? parseInt(match[1]) : NaN;
+        const minutes = match && match[2] ? parseInt(match[2]) : 0;
+
+        if (!(hours < 24 && minutes < 60)) {
+            throw new Error(`Invalid ${label} "${value}". Expected format: HH or HH:mm (e.g: 17 or 09:30)`);
+        }
+        return hours * 60 + minutes;
+    }
+
+    /**
+     * Formats minutes after midnight as a time of day
+     * @param {number} minutes - Minutes after midnight
+     * @returns {string} Time in HH:mm format
+     */
+    static formatTimeOfDay(minutes) {
+        return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+    }
+
+    /**
+     * Gets the local date and time of a timestamp in the trading day timezone
+     * @param {number} timestamp - Timestamp in milliseconds
+     * @returns {Object} Calendar date (YYYY-MM-DD), minutes after midnight and ISO weekday (1 = Monday) ({ date, minutes, weekday })
+     */
+    static getLocalTime(timestamp) {
+        const local = moment.tz(timestamp, tradingDay.timezone);
+        return { date: local.format('YYYY-MM-DD'), minutes: local.hours() * 60 + local.minutes(), weekday: local.isoWeekday() };
+    }
+
+    /**
+     * Gets the timestamp of a local date and time in the trading day timezone
+     * @param {string} date - Calendar date (YYYY-MM-DD)
+     * @param {number} minutes - Minutes after midnight
+     * @returns {number} Timestamp in milliseconds
+     */
+    static getLocalTimestamp(date, minutes) {
+        return moment.tz(`${date} ${this.formatTimeOfDay(minutes)}`, 'YYYY-MM-DD HH:mm', tradingDay.timezone).valueOf();
+    }
+
+    /**
+     * Adds days to a calendar date
+     * @param {string} date - Date (YYYY-MM-DD)
+     * @param {number} days - Days to add (negative to subtract)
+     * @returns {string} Date in YYYY-MM-DD format
+     */
+    static addDays(date, days) {
+        return moment.utc(date, 'YYYY-MM-DD').add(days, 'days').format('YYYY-MM-DD');
+    }
+
+    /**
+     * Gets the trading day settings
+     * @returns {Object} Timezone and day start ({ timezone, dayStart })
+     */
+    static getTradingDay() {
+        return { timezone: tradingDay.timezone, dayStart: tradingDay.dayStart };
+    }
+
+    /**
+     * Converts timestamp to readable date (in the trading day timezone)
      * @param {number} timestamp - Timestamp in milliseconds
      * @returns {string} Formatted date
      */
     static formatDate(timestamp) {
-        return moment(timestamp).format('YYYY-MM-DD HH:mm:ss');
+        return moment.tz(timestamp, tradingDay.timezone).format('YYYY-MM-DD HH:mm:ss');
     }
 
     /**
-     * Gets only the date (without time) from a timestamp
+     * Gets the trading day of a timestamp (named after the date it starts on)
      * @param {number} timestamp - Timestamp in milliseconds
      * @returns {string} Date in YYYY-MM-DD format
      */
     static getDateOnly(timestamp) {
-        return moment(timestamp).format('YYYY-MM-DD');
+        const local = this.getLocalTime(timestamp);
+
+        // Before the day start, the timestamp still belongs to the previous trading day
+        return local.minutes < tradingDay.dayStartMinutes ? this.addDays(local.date, -1) : local.date;
+    }
+
+    /**
+     * Gets the key of the day, week (ISO, starting on Monday) or month of a timestamp
+     * @param {number} timestamp - Timestamp in milliseconds
+     * @param {string} period - 'day', 'week' or 'month'
+     * @returns {string} YYYY-MM-DD (day, first day of the week) or YYYY-MM (month)
+     */
+    static getPeriodKey(timestamp, period = 'day') {
+        const date = this.getDateOnly(timestamp);
+
+        switch (period) {
+            case 'week':
+                return moment.utc(date, 'YYYY-MM-DD').startOf('isoWeek').format('YYYY-MM-DD');
+            case 'month':
+                return date.slice(0, 7);
+            default:
+                return date;
+        }
     }
 
     /**
@@ -26,7 +153,7 @@ class DateUtils {
      * @returns {boolean} True if they are from the same day
      */
     static isSameDay(timestamp1, timestamp2) {
-        return moment(timestamp1).isSame(moment(timestamp2), 'day');
+        return this.getDateOnly(timestamp1) === this.getDateOnly(timestamp2);
     }
 
     /**
@@ -52,10 +179,30 @@ class DateUtils {
      * Calculates the difference in hours between two timestamps
      * @param {number} startTime - Start timestamp
      * @param {number} endTime - End timestamp
-     * @returns {number} Difference in hours
+     * @returns {number} Difference in hours (fractional, e.g: 0.25 for 15 minutes)
      */
     static getHoursDifference(startTime, endTime) {
-        return moment(endTime).diff(moment(startTime), 'hours');
+        return (endTime - startTime) / HOUR_MS;
+    }
+
+    /**
+     * Gets the duration of a candle interval
+     * @param {string} interval - Binance interval (e.g: 15m, 1h, 4h, 1d)
+     * @returns {number} Duration in milliseconds
+     */
+    static intervalToMs(interval) {
+        if (!INTERVALS[interval]) {
+            throw new Error(`Invalid interval "${interval}". Available: ${Object.keys(INTERVALS).join(', ')}`);
+        }
+        return INTERVALS[interval];
+    }
+
+    /**
+     * Lists the supported candle intervals
+     * @returns {Array} Interval names sorted by duration
+     */
+    static getIntervals() {
+        return Object.keys(INTERVALS);
     }
 
     /**
@@ -71,21 +218,30 @@ class DateUtils {
     }
 
     /**
-     * Gets the timestamp of the start of the day
+     * Gets the timestamp of the start of the trading day
      * @param {number} timestamp - Reference timestamp
      * @returns {number} Start of day timestamp
      */
     static getStartOfDay(timestamp) {
-        return moment(timestamp).startOf('day').valueOf();
+        return this.getTradingDayStart(this.getDateOnly(timestamp));
     }
 
     /**
-     * Gets the timestamp of the end of the day
+     * Gets the timestamp of the end of the trading day
      * @param {number} timestamp - Reference timestamp
      * @returns {number} End of day timestamp
      */
     static getEndOfDay(timestamp) {
-        return moment(timestamp).endOf('day').valueOf();
+        return this.getTradingDayStart(this.addDays(this.getDateOnly(timestamp), 1)) - 1;
+    }
+
+    /**
+     * Gets the timestamp a trading day starts at
+     * @param {string} date - Trading day (YYYY-MM-DD)
+     * @returns {number} Timestamp in milliseconds
+     */
+    static getTradingDayStart(date) {
+        return this.getLocalTimestamp(date, tradingDay.dayStartMinutes);
     }
 
     /**
@@ -95,10 +251,27 @@ class DateUtils {
      * @returns {number} Difference in days
      */
     static getDaysDifference(startDate, endDate) {
-        const start = moment(startDate);
-        const end = moment(endDate);
+        const start = moment.utc(startDate, 'YYYY-MM-DD');
+        const end = moment.utc(endDate, 'YYYY-MM-DD');
         return end.diff(start, 'days');
     }
+
+    /**
+     * Parses a YYYY-MM-DD trading day into a timestamp
+     * @param {string} dateString - Date in YYYY-MM-DD format
+     * @param {boolean} endOfDay - Return the last millisecond of the day instead of the first
+     * @returns {number} Timestamp in milliseconds
+     */
+    static parseDate(dateString, endOfDay = false) {
+        const date = moment.utc(dateString, 'YYYY-MM-DD', true);
+
+        if (!date.isValid()) {
+            throw new Error(`Invalid date "${dateString}". Expected format: YYYY-MM-DD`);
+        }
+
+        const start = this.getTradingDayStart(date.format('YYYY-MM-DD'));
+        return endOfDay ? this.getEndOfDay(start) : start;
+    }
 }
 
 export default DateUtils;
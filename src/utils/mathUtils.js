@@ -51,6 +51,26 @@ class MathUtils {
         }
     }
 
+    /**
+     * Calculates the liquidation price of an isolated-margin position
+     * @param {number} entryPrice - Entry price
+     * @param {string} direction - Trade direction (LONG/SHORT)
+     * @param {number} leverage - Leverage
+     * @param {number} maintenanceMarginPercent - Maintenance margin rate in % of notional (default: 0.5%)
+     * @returns {number} Liquidation price
+     */
+    static calculateLiquidationPrice(entryPrice, direction, leverage, maintenanceMarginPercent = 0.5) {
+        // With 5x leverage the margin covers a 20% move; liquidation happens when
+        // the loss leaves only the maintenance margin (20% - 0.5% = 19.5% against entry)
+        const priceMovePercent = (1 / leverage) - (maintenanceMarginPercent / 100);
+        
+        if (direction === 'LONG') {
+            return entryPrice * (1 - priceMovePercent);
+        } else {
+            return entryPrice * (1 + priceMovePercent);
+        }
+    }
+
     /**
      * Calculates the USD result of a trade
      * @param {number} entryPrice - Entry price